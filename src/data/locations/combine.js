@@ -1,5 +1,14 @@
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GEOHASH_PRECISION } from '../../lib/geohash.js';
+import { buildIndices, buildConfusionGroups, buildStats } from '../../lib/location-index.js';
+import { validatePolygon } from '../../lib/geometry.js';
+import { lintTownSchema, lintLocations } from '../../lib/location-lint.js';
+import { lintAccountRegistry } from '../../lib/account-rules.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const TOWN_FILES = [
   'aspen.json', 'glenwood-springs.json', 'vail.json', 'snowmass.json',
@@ -7,20 +16,100 @@ const TOWN_FILES = [
   'avon.json', 'edwards.json', 'eagle.json', 'gypsum.json', 'rifle.json', 'silt.json'
 ];
 
-function combineLocations() {
-  console.log('🔄 Combining location files...\n');
-  
-  const allLocations = [];
-  const townData = {};
-  
+const SCHEMA_FILE = 'town.schema.json';
+const REGISTRY_PATH = path.join(__dirname, '..', 'accounts-registry.json');
+const REPORT_PATH = path.join(__dirname, '..', 'locations.report.json');
+
+// --check: validate and write the report only
+// --strict: warnings fail the build too
+const args = process.argv.slice(2);
+const CHECK_ONLY = args.includes('--check');
+const STRICT = args.includes('--strict');
+
+/**
+ * Parse, schema-check and cross-reference every town file.
+ * Returns the towns that parsed and passed the schema, plus all problems.
+ */
+function validateTownFiles() {
+  console.log('🔎 Validating location files...\n');
+
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, SCHEMA_FILE), 'utf8'));
+  const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+  const problems = [];
+  const towns = [];
+
   for (const filename of TOWN_FILES) {
     const filepath = path.join(__dirname, filename);
     if (!fs.existsSync(filepath)) {
-      console.log(`⚠️  ${filename} not found, skipping...`);
+      problems.push({ severity: 'warning', code: 'MISSING_FILE', file: filename, location_id: null, path: null, message: `${filename} not found, skipped` });
       continue;
     }
-    
-    const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      problems.push({ severity: 'error', code: 'INVALID_JSON', file: filename, location_id: null, path: null, message: error.message });
+      continue;
+    }
+
+    problems.push(...lintTownSchema(data, schema, filename));
+    if (Array.isArray(data?.locations)) towns.push({ file: filename, data });
+  }
+
+  // A town file nobody listed never reaches locations.json
+  const unlisted = fs.readdirSync(__dirname)
+    .filter(name => name.endsWith('.json') && name !== SCHEMA_FILE && !TOWN_FILES.includes(name));
+  for (const filename of unlisted) {
+    problems.push({ severity: 'warning', code: 'UNLISTED_FILE', file: filename, location_id: null, path: null, message: `${filename} is not in TOWN_FILES and is not combined` });
+  }
+
+  problems.push(...lintLocations(towns, { accounts: registry.accounts }));
+  problems.push(...lintAccountRegistry(registry));
+  return { towns, problems };
+}
+
+/**
+ * Print problems and write the machine-readable report.
+ * @returns {boolean} true if the build may continue
+ */
+function writeReport(towns, problems) {
+  const errors = problems.filter(p => p.severity === 'error');
+  const warnings = problems.filter(p => p.severity === 'warning');
+  const ok = errors.length === 0 && (!STRICT || warnings.length === 0);
+
+  for (const problem of [...errors, ...warnings]) {
+    const icon = problem.severity === 'error' ? '❌' : '⚠️ ';
+    const where = [problem.file, problem.location_id].filter(Boolean).join(' ');
+    console.log(`${icon} ${problem.code} ${where}: ${problem.message}`);
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    ok,
+    strict: STRICT,
+    summary: {
+      files: towns.length,
+      locations: towns.reduce((sum, { data }) => sum + data.locations.length, 0),
+      errors: errors.length,
+      warnings: warnings.length
+    },
+    problems
+  };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+  console.log(`\n${ok ? '✓' : '❌'} Validation: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  console.log(`📋 Report: ${REPORT_PATH}\n`);
+  return ok;
+}
+
+function combineLocations(towns) {
+  console.log('🔄 Combining location files...\n');
+  
+  const allLocations = [];
+  const townData = {};
+  
+  for (const { data } of towns) {
     console.log(`✓ ${data.town_display}: ${data.locations.length} locations`);
     
     townData[data.town] = {
@@ -28,71 +117,37 @@ function combineLocations() {
       coordinates: data.coordinates,
       radius_miles: data.radius_miles
     };
+
+    // Optional GeoJSON boundary; radius_miles stays as the fallback
+    if (data.boundary && validatePolygon(data.boundary).length === 0) {
+      townData[data.town].boundary = data.boundary;
+    }
     
     allLocations.push(...data.locations);
   }
   
   console.log('\n🔍 Building indices...');
-  
-  // Build indices
-  const indices = {
-    by_phonetic: {},
-    by_misspelling: {},
-    by_category: {},
-    by_account: {}
-  };
-  
-  for (const loc of allLocations) {
-    // Phonetic
-    for (const variant of loc.phonetic_variants || []) {
-      const key = variant.toLowerCase();
-      if (!indices.by_phonetic[key]) indices.by_phonetic[key] = [];
-      indices.by_phonetic[key].push(loc.id);
-    }
-    
-    // Misspelling
-    for (const misspelling of loc.common_misspellings || []) {
-      const key = misspelling.toLowerCase();
-      if (!indices.by_misspelling[key]) indices.by_misspelling[key] = [];
-      indices.by_misspelling[key].push(loc.id);
-    }
-    
-    // Category
-    if (loc.category) {
-      if (!indices.by_category[loc.category]) indices.by_category[loc.category] = [];
-      indices.by_category[loc.category].push(loc.id);
-    }
-    
-    // Account
-    if (loc.account?.account_id) {
-      const id = loc.account.account_id;
-      if (!indices.by_account[id]) indices.by_account[id] = [];
-      indices.by_account[id].push(loc.id);
+  const indices = buildIndices(towns.flatMap(({ data }) =>
+    data.locations.map(loc => ({ loc, town: data.town }))
+  ));
+  console.log('✓ Indices built');
+
+  const stats = buildStats(allLocations, indices, townData);
+  const soundCollisions = stats.phonetic_collisions;
+
+  if (soundCollisions.length > 0) {
+    console.log(`⚠️  ${soundCollisions.length} phonetic key collision(s):`);
+    for (const collision of soundCollisions) {
+      const keys = collision.keys.map(k => `${k.key} (${k.names.join(' / ')})`).join(', ');
+      console.log(`   ${collision.locations.join(' + ')}: ${keys}`);
     }
+  } else {
+    console.log('✓ No phonetic key collisions');
   }
   
-  console.log('✓ Indices built');
-  
   // Build confusion groups
   console.log('🔍 Building confusion groups...');
-  const confusionGroups = [];
-  const confusionMap = new Map();
-  
-  for (const loc of allLocations) {
-    if (loc.confusion_matrix && loc.confusion_matrix.length > 0) {
-      for (const confusion of loc.confusion_matrix) {
-        const key = [loc.id, confusion.confused_with].sort().join('|');
-        if (!confusionMap.has(key)) {
-          confusionMap.set(key, {
-            members: [loc.id, confusion.confused_with],
-            disambiguation_script: confusion.disambiguation
-          });
-        }
-      }
-    }
-  }
-  
-  confusionGroups.push(...confusionMap.values());
+  const confusionGroups = buildConfusionGroups(allLocations);
   console.log(`✓ ${confusionGroups.length} confusion groups identified`);
   
   // Build output
@@ -107,21 +162,13 @@ function combineLocations() {
     locations: allLocations,
     indices: indices,
     confusion_groups: confusionGroups,
-    stats: {
-      total_locations: allLocations.length,
-      by_category: Object.entries(indices.by_category).map(([cat, ids]) => ({
-        category: cat,
-        count: ids.length
-      })).sort((a, b) => b.count - a.count),
-      by_town: Object.keys(townData).map(town => ({
-        town: town,
-        display_name: townData[town].display_name,
-        count: allLocations.filter(loc => 
-          loc.address && loc.address.toLowerCase().includes(townData[town].display_name.toLowerCase())
-        ).length
-      }))
-    }
+    stats
   };
+
+  // Hash of the data itself (not the build time), so KV versions can tell a
+  // deploy with edited town files from a code-only one
+  const { updated_at, ...content } = output;
+  output.content_hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
   
   // Write output files
   const outputPath = path.join(__dirname, '..', 'locations.json');
@@ -149,6 +196,9 @@ function combineLocations() {
   console.log(`   Total towns: ${Object.keys(townData).length}`);
   console.log(`   Phonetic variants: ${Object.keys(indices.by_phonetic).length}`);
   console.log(`   Misspelling variants: ${Object.keys(indices.by_misspelling).length}`);
+  console.log(`   Sound keys: ${Object.keys(indices.by_sound).length} names, ${Object.keys(indices.by_keyword_sound).length} keywords`);
+  console.log(`   Sound collisions: ${soundCollisions.length}`);
+  console.log(`   Geohash cells: ${Object.keys(indices.by_geohash).length} (precision ${GEOHASH_PRECISION})`);
   console.log(`   Categories: ${Object.keys(indices.by_category).length}`);
   console.log(`   Accounts: ${Object.keys(indices.by_account).length}`);
   console.log(`   Confusion groups: ${confusionGroups.length}`);
@@ -156,4 +206,9 @@ function combineLocations() {
   console.log('\n✅ All done!');
 }
 
-combineLocations();
\ No newline at end of file
+const { towns, problems } = validateTownFiles();
+if (!writeReport(towns, problems)) {
+  console.log('❌ Location data has problems; locations.json was not written.');
+  process.exit(1);
+}
+if (!CHECK_ONLY) combineLocations(towns);
\ No newline at end of file
@@ -7,6 +7,8 @@
  */
 
 import { loadAccountRegistry } from '../lib/account-registry.js';
+import { loadLocationDatabase } from '../lib/location-db.js';
+import { SERVICE_TZ } from '../lib/time-parser.js';
 
 /**
  * Main handler for account eligibility checks
@@ -28,10 +30,11 @@ export async function handleAccountEligibility(request, env) {
       // Booking details
       pickup_time,
       passenger_count = 1,
+      stops = [],              // intermediate stops (Emergency Ride Home allows one)
       
       // NEW: Optional context from Claire
       account_hints = [],      // e.g., ['tipsy', 'senior', 'hotel-jerome']
-      customer_context = {}    // e.g., { is_senior: true, has_voucher: true }
+      customer_context = {}    // e.g., { is_senior: true, has_voucher: true, voucher_source: 'police', passenger_name: 'Jane Doe' }
     } = body;
 
     // Validate required fields
@@ -57,8 +60,8 @@ export async function handleAccountEligibility(request, env) {
       }, 500);
     }
 
-    // Find all eligible accounts
-    const eligibleAccounts = registry.findEligible({
+    // Find all eligible accounts, with the rule trace for each one considered
+    const decision = registry.explainEligible({
       pickup_lat,
       pickup_lng,
       pickup_address,
@@ -70,8 +73,10 @@ export async function handleAccountEligibility(request, env) {
       pickup_time,
       passenger_count,
       account_hints,
-      customer_context
-    });
+      customer_context,
+      stops
+    }, { db: await loadLocationDatabase(env), tz: env.LOCAL_TZ || SERVICE_TZ });
+    const eligibleAccounts = decision.eligible;
 
     // Get primary account (highest priority)
     const primaryAccount = eligibleAccounts[0] || registry.getDefault();
@@ -79,15 +84,56 @@ export async function handleAccountEligibility(request, env) {
     // Format response
     const response = registry.formatResponse(primaryAccount, { passenger_count });
 
+    // What Claire may say about each eligible account
+    const disclosure = discloseAccounts(decision.evaluated);
+    Object.assign(response, disclosure);
+    if (eligibleAccounts[0]) {
+      response.disclosure = disclosureFor(eligibleAccounts[0], decision.evaluated);
+      const entry = disclosure[response.disclosure].find(a => a.account_id === eligibleAccounts[0].id);
+      if (response.disclosure === 'silent_apply') {
+        // Billed without a word: leave Claire nothing to read out
+        Object.assign(response, { claire_script: null, account_name: null, scripts: null });
+      } else {
+        response.claire_script = response.claire_script || entry?.script || null;
+      }
+    }
+
+    // Exact address / unit number for property accounts
+    const addressCheck = registry.checkAddressRequirements(primaryAccount, {
+      pickup_address,
+      destination_address
+    });
+    if (addressCheck) {
+      response.address_requirements = addressCheck;
+      response.unit_missing = addressCheck.unit_missing;
+    }
+
+    // Full passenger name for accounts that bill by name
+    const nameCheck = registry.checkPassengerName(primaryAccount, customer_context);
+    if (nameCheck) {
+      response.passenger_name_requirement = nameCheck;
+    }
+
     // Add all eligible accounts (for disambiguation if needed)
+    const silent = new Set(disclosure.silent_apply.map(a => a.account_id));
     response.all_eligible = eligibleAccounts.map(a => ({
       id: a.id,
-      name: a.name,
+      name: silent.has(a.id) ? null : a.name,
       type: a.type,
       priority: a.priority,
       trigger_type: a.trigger_type
     }));
 
+    // Why each account did or didn't apply; near_miss explains a regular metered ride
+    response.evaluation = decision.evaluated.map(e => ({
+      account_id: e.account.id,
+      account_name: e.account.name,
+      trigger: e.trigger,
+      eligible: e.eligible,
+      rules: e.trace
+    }));
+    response.near_miss = decision.near_miss;
+
     // Add debug info if requested
     if (body.debug) {
       response.debug = {
@@ -111,6 +157,54 @@ export async function handleAccountEligibility(request, env) {
   }
 }
 
+// What Claire may do with an eligible account, by trigger type and whether
+// the caller brought it up ('hint'):
+//   offer            - Claire raises it herself (HOA pickups, hotel accounts she asks about)
+//   confirm_if_asked - only once the caller mentions it (Tipsy Taxi, Senior Dial-a-Ride)
+//   silent_apply     - billed to the account, never mentioned (front-desk bookings)
+const DISCLOSURE = {
+  geo_automatic: () => 'offer',
+  location_optional: () => 'offer',
+  customer_mention: () => 'confirm_if_asked',
+  do_not_volunteer: trigger => (trigger === 'hint' ? 'confirm_if_asked' : 'silent_apply')
+};
+
+/**
+ * Sort eligible accounts into what Claire may offer, confirm if asked, or
+ * apply without a word. Each entry carries the script for that case; silent
+ * entries carry neither script nor name.
+ * @param {Array<Object>} evaluated - explainEligible().evaluated
+ * @returns {{ offer: Array, confirm_if_asked: Array, silent_apply: Array }}
+ */
+export function discloseAccounts(evaluated) {
+  const lists = { offer: [], confirm_if_asked: [], silent_apply: [] };
+
+  const eligible = evaluated
+    .filter(e => e.eligible)
+    .sort((a, b) => (b.account.priority || 0) - (a.account.priority || 0));
+
+  for (const { account, trigger } of eligible) {
+    const policy = DISCLOSURE[account.trigger_type](trigger);
+    const scripts = account.scripts || {};
+    lists[policy].push({
+      account_id: account.id,
+      account_name: policy === 'silent_apply' ? null : account.name,
+      trigger_type: account.trigger_type,
+      script: policy === 'offer' ? scripts.claire_should_ask || scripts.claire_confirmation || null
+        : policy === 'confirm_if_asked'
+          ? scripts.claire_if_customer_asks || scripts.claire_if_customer_mentions || scripts.claire_confirmation || null
+          : null
+    });
+  }
+
+  return lists;
+}
+
+function disclosureFor(account, evaluated) {
+  const entry = evaluated.find(e => e.account.id === account.id);
+  return DISCLOSURE[account.trigger_type](entry?.trigger);
+}
+
 /**
  * Helper: JSON response with CORS headers
  */
@@ -0,0 +1,222 @@
+// src/handlers/admin-locations.js
+// CLAIRE v4.2 - Location dataset admin (publish / rollback without redeploying)
+// and single-location edits (list / get / create / update / retire / history)
+// Requires: Authorization: Bearer <ADMIN_API_KEY>
+
+import { jsonResponse, requireAdmin } from '../lib/utils.js';
+import {
+  validateDataset,
+  publishDataset,
+  rollbackDataset,
+  listVersions,
+  getActivePointer,
+  supersedesBundle
+} from '../lib/location-store.js';
+import {
+  loadEditableDataset,
+  listLocations,
+  townOf,
+  applyLocationChange,
+  getLocationHistory,
+  listRecentChanges
+} from '../lib/location-editor.js';
+import { invalidateLocationDatabase, getBundledDatabase, getBundledDataset } from '../lib/location-db.js';
+
+// applyLocationChange error -> HTTP status
+const CHANGE_ERROR_STATUS = {
+  LOCATION_NOT_FOUND: 404,
+  LOCATION_EXISTS: 409,
+  LOCATION_REFERENCED: 409,
+  VERSION_CONFLICT: 409,
+  ID_IMMUTABLE: 400,
+  UNKNOWN_TOWN: 400,
+  LOCATION_INVALID: 422,
+  DATASET_INVALID: 422
+};
+
+export async function handleAdminLocations(request, env) {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  if (!env.CALL_MEMORIES) {
+    return jsonResponse({
+      ok: false,
+      error: 'KV_NOT_CONFIGURED',
+      message: 'CALL_MEMORIES KV binding is required'
+    }, 500);
+  }
+
+  try {
+    const kv = env.CALL_MEMORIES;
+    const body = request.method === 'POST' ? await request.json() : {};
+    const { action = 'versions', dataset, version, note, published_by, location_id } = body;
+
+    switch (action) {
+      case 'versions': {
+        const [active, versions] = await Promise.all([getActivePointer(kv), listVersions(kv)]);
+        const bundled = getBundledDataset();
+        return jsonResponse({
+          ok: true,
+          active: supersedesBundle(active, bundled)
+            ? active
+            : {
+              version: bundled.version,
+              source: 'bundled',
+              built_at: bundled.updated_at,
+              content_hash: bundled.content_hash || null,
+              superseded_kv_version: active?.version || null
+            },
+          versions
+        });
+      }
+
+      case 'validate': {
+        const validation = validateDataset(dataset);
+        return jsonResponse({ ok: validation.valid, ...validation }, validation.valid ? 200 : 422);
+      }
+
+      case 'publish': {
+        const result = await publishDataset(kv, dataset, {
+          published_by,
+          note,
+          bundle_hash: getBundledDataset().content_hash
+        });
+        if (!result.ok) {
+          return jsonResponse({
+            ok: false,
+            error: 'DATASET_INVALID',
+            message: `Dataset failed validation with ${result.validation.errors.length} error(s); nothing was published`,
+            ...result.validation
+          }, 422);
+        }
+
+        invalidateLocationDatabase();
+        console.log(`[admin-locations] Published ${result.active.version} by ${result.active.published_by}`);
+
+        return jsonResponse({
+          ok: true,
+          published: true,
+          active: result.active,
+          warnings: result.validation.warnings,
+          stats: result.validation.stats
+        });
+      }
+
+      case 'rollback': {
+        const result = await rollbackDataset(kv, {
+          version,
+          published_by,
+          bundle_hash: getBundledDataset().content_hash
+        });
+        if (!result.ok) {
+          return jsonResponse({
+            ok: false,
+            error: result.error,
+            message: version
+              ? `Cannot roll back to ${version}`
+              : 'Already using the bundled dataset',
+            available_versions: result.available
+          }, 404);
+        }
+
+        invalidateLocationDatabase();
+        console.log(`[admin-locations] Rolled back ${result.previous} -> ${result.active?.version || 'bundled'}`);
+
+        return jsonResponse({
+          ok: true,
+          rolled_back: true,
+          previous_version: result.previous,
+          active: result.active || { version: getBundledDatabase().version, source: 'bundled' }
+        });
+      }
+
+      case 'list': {
+        const { dataset: active, version: activeVersion } = await loadEditableDataset(kv);
+        const limit = Math.min(parseInt(body.limit ?? 50, 10) || 50, 200);
+        const offset = Math.max(parseInt(body.offset ?? 0, 10) || 0, 0);
+        const result = listLocations(active, { town: body.town, category: body.category, q: body.q, limit, offset });
+        return jsonResponse({ ok: true, version: activeVersion, limit, offset, ...result });
+      }
+
+      case 'get': {
+        const { dataset: active, version: activeVersion } = await loadEditableDataset(kv);
+        const location = active.locations.find(loc => loc.id === location_id);
+        const history = location_id ? await getLocationHistory(kv, location_id) : [];
+        if (!location && history.length === 0) {
+          return jsonResponse({
+            ok: false,
+            error: 'LOCATION_NOT_FOUND',
+            message: `Location '${location_id}' not found`
+          }, 404);
+        }
+        return jsonResponse({
+          ok: true,
+          version: activeVersion,
+          retired: !location,
+          town: location ? townOf(active, location_id) : null,
+          location: location || null,
+          history
+        });
+      }
+
+      case 'history': {
+        return jsonResponse({
+          ok: true,
+          location_id: location_id || null,
+          changes: location_id ? await getLocationHistory(kv, location_id) : await listRecentChanges(kv)
+        });
+      }
+
+      case 'create':
+      case 'update':
+      case 'retire': {
+        if (!location_id || typeof location_id !== 'string') {
+          return jsonResponse({ ok: false, error: 'MISSING_LOCATION_ID', message: 'location_id is required' }, 400);
+        }
+        if (!body.changed_by) {
+          return jsonResponse({ ok: false, error: 'MISSING_CHANGED_BY', message: 'changed_by is required for the audit trail' }, 400);
+        }
+
+        const result = await applyLocationChange(kv, {
+          action,
+          location_id,
+          location: body.location,
+          town: body.town,
+          changed_by: body.changed_by,
+          note,
+          base_version: body.base_version
+        });
+        if (!result.ok) {
+          return jsonResponse(result, CHANGE_ERROR_STATUS[result.error] || 400);
+        }
+
+        invalidateLocationDatabase();
+        console.log(`[admin-locations] ${action} ${location_id} by ${body.changed_by} -> ${result.active.version}`);
+
+        return jsonResponse({
+          ok: true,
+          action,
+          location_id,
+          active: result.active,
+          change: result.record,
+          warnings: result.warnings
+        });
+      }
+
+      default:
+        return jsonResponse({
+          ok: false,
+          error: 'INVALID_ACTION',
+          message: `Action '${action}' not supported. Use: versions, validate, publish, rollback, list, get, history, create, update, retire`
+        }, 400);
+    }
+
+  } catch (error) {
+    console.error('[admin-locations] Error:', error);
+    return jsonResponse({
+      ok: false,
+      error: 'ADMIN_LOCATIONS_FAILED',
+      message: error.message
+    }, 500);
+  }
+}
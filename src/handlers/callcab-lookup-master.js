@@ -144,6 +144,7 @@ export async function handleCallcabLookupMaster(request, env) {
           lat: memory?.last_dropoff_lat || null,
           lng: memory?.last_dropoff_lng || null
         },
+        last_dropoff_place: memory?.last_dropoff_place || null,
         last_trip_id: memory?.last_trip_id || null,
         conversation_state: memory?.conversation_state || null,
         was_dropped: memory?.was_dropped || false,
@@ -304,6 +305,7 @@ async function fetchMemoryDataWithFallbacks(phoneFormats, env) {
         last_dropoff: latest.last_dropoff,
         last_dropoff_lat: latest.last_dropoff_lat,
         last_dropoff_lng: latest.last_dropoff_lng,
+        last_dropoff_place: latest.last_dropoff_place || null,
         last_trip_id: latest.last_trip_id,
         was_dropped: latest.was_dropped || latest.outcome === 'dropped_call',
         operational_notes: latest.operational_notes,
@@ -365,6 +367,7 @@ async function fetchMemoryDataWithFallbacks(phoneFormats, env) {
             last_dropoff: latest.last_dropoff,
             last_dropoff_lat: latest.last_dropoff_lat,
             last_dropoff_lng: latest.last_dropoff_lng,
+            last_dropoff_place: latest.last_dropoff_place || null,
             last_trip_id: latest.last_trip_id,
             was_dropped: latest.was_dropped || latest.outcome === 'dropped_call',
             operational_notes: latest.operational_notes,
@@ -780,7 +783,8 @@ function generateGreeting(memory, icabbi, customer) {
     };
   } else if (memory?.outcome === 'booking_created' && memory?.last_dropoff && memory?.hours_since_last_call < 2) {
     scenario = 'callback';
-    contextData = { last_dropoff: memory.last_dropoff };
+    // Curated place name ("St. Regis Aspen") reads better than the raw address
+    contextData = { last_dropoff: memory.last_dropoff_place?.name || memory.last_dropoff };
   } else if (memory?.was_dropped && memory?.hours_since_last_call < 1) {
     scenario = 'dropped_call';
     contextData = {
@@ -1,32 +1,109 @@
+// src/handlers/dispatch-eta.js
+// CLAIRE v4.2 - Driver arrival time
+// Closest available iCabbi driver first, High Mountain Taxi base as fallback
+
 import { jsonResponse } from '../lib/utils.js';
+import { getDriveTime, estimateDriveTime } from '../lib/google-api.js';
+
+const SERVICE_TZ = 'America/Denver';
+
+// High Mountain Taxi base (AABC) - used when no driver is free
+const HM_BASE = {
+  lat: 39.2228,
+  lng: -106.8692,
+  address: '214 Aspen Airport Business Ctr, Unit B, Aspen, CO 81611'
+};
+
+const DRIVER_SEARCH_RADIUS_METERS = 15000;
+const PREP_TIME_MINUTES = 2;
 
 export async function handleDispatchETA(request, env) {
   try {
     const body = await request.json();
     const { pickup_lat, pickup_lng, pickup_address } = body;
 
-    if (!pickup_lat || !pickup_lng) {
+    const pLat = typeof pickup_lat === 'string' ? parseFloat(pickup_lat) : pickup_lat;
+    const pLng = typeof pickup_lng === 'string' ? parseFloat(pickup_lng) : pickup_lng;
+
+    if (!pLat || !pLng || Number.isNaN(pLat) || Number.isNaN(pLng)) {
       return jsonResponse({
         ok: false,
         error: 'MISSING_COORDINATES'
       }, 400);
     }
 
-    // Simulate ETA calculation
-    // In production, this would call your dispatch system
-    const eta_minutes = Math.floor(Math.random() * 10) + 5; // 5-15 minutes
+    if (Math.abs(pLat) > 90 || Math.abs(pLng) > 180) {
+      return jsonResponse({
+        ok: false,
+        error: 'INVALID_COORDINATES',
+        message: 'Coordinates are out of valid range'
+      }, 400);
+    }
+
+    const pickup = { lat: pLat, lng: pLng };
+
+    // 1) Closest available driver from iCabbi (null on any failure)
+    const drivers = await fetchAvailableDrivers(pickup, env);
+    const closestDriver = pickClosestDriver(drivers);
+
+    const origin = closestDriver
+      ? { lat: closestDriver.lat, lng: closestDriver.lng }
+      : { lat: HM_BASE.lat, lng: HM_BASE.lng };
+
+    // 2) Drive time from that origin (Google, then straight-line estimate)
+    let route = null;
+    if (env.GOOGLE_MAPS_API_KEY) {
+      try {
+        route = await getDriveTime(origin, pickup, env.GOOGLE_MAPS_API_KEY);
+      } catch (error) {
+        console.warn('[dispatch-eta] Distance Matrix failed:', error.message);
+      }
+    }
+
+    const routeSource = route ? 'google_distance_matrix' : 'straight_line_estimate';
+    if (!route) {
+      route = estimateDriveTime(origin, pickup);
+    }
+
+    const eta_method = closestDriver ? 'icabbi_driver' : 'base_location';
+    const confidence = rateConfidence(eta_method, routeSource);
+
+    const eta_minutes = route.duration_minutes + PREP_TIME_MINUTES;
     const arrival_time = new Date(Date.now() + eta_minutes * 60000);
 
     return jsonResponse({
       ok: true,
       eta_minutes,
-      eta_summary: `${eta_minutes} minutes`,
+      eta_summary: summarizeEta(eta_minutes),
       arrival_time: arrival_time.toISOString(),
       arrival_time_formatted: arrival_time.toLocaleTimeString('en-US', {
         hour: 'numeric',
         minute: '2-digit',
-        timeZone: 'America/Denver'
-      })
+        timeZone: SERVICE_TZ
+      }),
+
+      // How the number was produced
+      eta_method,
+      route_source: routeSource,
+      confidence: confidence.level,
+      confidence_reason: confidence.reason,
+
+      // Dispatch origin
+      dispatch_from: closestDriver ? `Driver ${closestDriver.name}` : HM_BASE.address,
+      dispatch_lat: origin.lat,
+      dispatch_lng: origin.lng,
+      driver_info: closestDriver,
+      drivers_available: drivers ? drivers.length : null,
+
+      // Metrics
+      pickup_address: pickup_address || null,
+      drive_time_minutes: route.duration_minutes,
+      prep_time_minutes: PREP_TIME_MINUTES,
+      distance_miles: route.distance_miles,
+
+      capacity_warning: drivers && drivers.length === 0
+        ? 'Running lean right now, might take a bit longer'
+        : null
     });
 
   } catch (error) {
@@ -37,4 +114,85 @@ export async function handleDispatchETA(request, env) {
       message: error.message
     }, 500);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Ask iCabbi for drivers free near the pickup.
+ * Returns an array (possibly empty), or null when iCabbi could not be asked.
+ */
+async function fetchAvailableDrivers(pickup, env) {
+  const BASE = (env.ICABBI_BASE_URL || 'https://api.icabbi.us/us2').replace(/\/+$/, '');
+  const APP = env.ICABBI_APP_KEY;
+  const SEC = env.ICABBI_SECRET || env.ICABBI_SECRET_KEY;
+
+  if (!APP || !SEC) {
+    console.warn('[dispatch-eta] iCabbi credentials not configured, using base location');
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${BASE}/driver/available`, {
+      method: 'POST',
+      headers: {
+        accept: 'application/json',
+        'content-type': 'application/json',
+        Authorization: `Basic ${btoa(`${APP}:${SEC}`)}`
+      },
+      body: JSON.stringify({
+        lat: pickup.lat,
+        lng: pickup.lng,
+        radius: DRIVER_SEARCH_RADIUS_METERS
+      })
+    });
+
+    if (!response.ok) {
+      console.warn('[dispatch-eta] iCabbi driver lookup returned', response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    return Array.isArray(data.body?.drivers) ? data.body.drivers : [];
+  } catch (error) {
+    console.warn('[dispatch-eta] iCabbi driver lookup failed:', error.message);
+    return null;
+  }
+}
+
+function pickClosestDriver(drivers) {
+  if (!drivers || drivers.length === 0) return null;
+
+  const located = drivers
+    .map(d => ({
+      driver_id: d.id,
+      name: d.name,
+      vehicle_number: d.vehicle_number,
+      lat: parseFloat(d.lat),
+      lng: parseFloat(d.lng),
+      distance_meters: d.distance != null ? Number(d.distance) : null
+    }))
+    .filter(d => !Number.isNaN(d.lat) && !Number.isNaN(d.lng));
+
+  if (located.length === 0) return null;
+
+  located.sort((a, b) => (a.distance_meters ?? Infinity) - (b.distance_meters ?? Infinity));
+  return located[0];
+}
+
+function rateConfidence(method, routeSource) {
+  if (routeSource === 'straight_line_estimate') {
+    return { level: 'low', reason: 'Drive time estimated from straight-line distance' };
+  }
+  if (method === 'icabbi_driver') {
+    return { level: 'high', reason: 'Closest available driver with live traffic' };
+  }
+  return { level: 'medium', reason: 'No free driver found, timed from the base' };
+}
+
+function summarizeEta(minutes) {
+  if (minutes <= 5) return 'about 5 minutes';
+  if (minutes <= 10) return 'about 10 minutes';
+  if (minutes <= 15) return 'about 10-15 minutes';
+  if (minutes <= 20) return 'about 15-20 minutes';
+  if (minutes <= 30) return 'about 20-30 minutes';
+  return `about ${minutes} minutes`;
+}
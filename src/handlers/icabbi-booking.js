@@ -2,12 +2,46 @@
 // Replicates the working Vercel pattern with Basic Auth
 
 import { jsonResponse } from '../lib/utils.js';
+import { parsePickupTime } from '../lib/time-parser.js';
+import { loadLocationDatabase } from '../lib/location-db.js';
+import { recordConfirmation } from '../lib/location-popularity.js';
 
 const SERVICE_TZ = "America/Denver";
 const DEFAULT_CALLER_NAME = "";
 const DEFAULT_CALLER_PHONE = "";
-
-export async function handleIcabbiBooking(request, env) {
+const UPDATE_MIN_LEAD_MINUTES = 10;    // pickup/destination changes need this much notice
+
+// Statuses dispatch staff may set through status_update, keyed by current status
+const STATUS_TRANSITIONS = {
+  NEW:        ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  PENDING:    ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  PREBOOKED:  ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  DISPATCHED: ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  ASSIGNED:   ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  ACCEPTED:   ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  ENROUTE:    ["ARRIVED", "PICKED_UP", "CANCELLED"],
+  ARRIVED:    ["PICKED_UP", "NOSHOW", "CANCELLED"],
+  PICKED_UP:  ["COMPLETED"],
+  COMPLETED:  [],
+  NOSHOW:     [],
+  CANCELLED:  [],
+};
+const ALLOWED_STATUSES = ["ARRIVED", "PICKED_UP", "COMPLETED", "NOSHOW", "CANCELLED"];
+
+// Spoken/staff wording -> iCabbi status
+const STATUS_ALIASES = {
+  NO_SHOW: "NOSHOW",
+  PASSENGER_ON_BOARD: "PICKED_UP",
+  ON_BOARD: "PICKED_UP",
+  POB: "PICKED_UP",
+  COMPLETE: "COMPLETED",
+  DONE: "COMPLETED",
+  CANCELED: "CANCELLED",
+  CANCEL: "CANCELLED",
+  EN_ROUTE: "ENROUTE",
+};
+
+export async function handleIcabbiBooking(request, env, ctx) {
   try {
     // Parse JSON body
     const body = await request.json();
@@ -22,8 +56,9 @@ export async function handleIcabbiBooking(request, env) {
       callerPhone,
       caller_number,
       name,
-      pickup,                // { lat, lng, address? }
-      destination,           // { lat, lng, address? }
+      pickup,                // { lat, lng, address?, location_id? }
+      pickup_point,          // entrance id or name from validate-address (needs pickup.location_id)
+      destination,           // { lat, lng, address?, location_id? }
       date,                  // natural phrases, ISO ±TZ, epoch
       instructions,
       trip_id,
@@ -50,6 +85,12 @@ export async function handleIcabbiBooking(request, env) {
       user_id,
     } = body;
 
+    // Time check only - lets Claire confirm a spoken time before booking
+    if (action === "parse_time") {
+      const when = parsePickupTime(date, { tz: SERVICE_TZ });
+      return jsonResponse({ ...when, input: date ?? null }, when.ok ? 200 : 400);
+    }
+
     // Credentials - EXACTLY like working Vercel version
     const BASE = (env.ICABBI_BASE_URL || "https://api.icabbi.us/us2").replace(/\/+$/, "");
     const APP = env.ICABBI_APP_KEY;
@@ -86,19 +127,26 @@ export async function handleIcabbiBooking(request, env) {
           DEFAULT_CALLER_PHONE
       ) || DEFAULT_CALLER_PHONE;
 
+    // A named entrance replaces the pickup coordinates and leads the driver instructions
+    const point = await applyPickupPoint(env, pickup, pickup_point ?? pickup?.pickup_point, instructions);
+    if (point.error) return point.error;
+
     // Dispatch by action
     if (action === "create" || action === "add") {
       return await handleCreate({
+        env,
+        ctx,
         debug,
         BASE,
         BASE_HEADERS,
         log,
         rawPhone: resolvedPhoneE164,
         name: name || customer?.name || DEFAULT_CALLER_NAME,
-        pickup,
+        pickup: point.pickup,
+        pickup_point: point.pickup_point,
         destination,
         date,
-        instructions,
+        instructions: point.instructions,
         source,
         site_id: site_id ?? 74,
       });
@@ -122,9 +170,10 @@ export async function handleIcabbiBooking(request, env) {
         phone: resolvedPhoneE164,
         name: name || customer?.name || DEFAULT_CALLER_NAME,
         date,
-        pickup,
+        pickup: point.pickup,
+        pickup_point: point.pickup_point,
         destination,
-        instructions,
+        instructions: point.instructions,
         route_by,
         site_id,
         debug,
@@ -136,6 +185,7 @@ export async function handleIcabbiBooking(request, env) {
         BASE,
         BASE_HEADERS,
         log,
+        trip_id,
         perma_id: perma_id || body?.perma_id,
         status,
         debug,
@@ -208,7 +258,7 @@ export async function handleIcabbiBooking(request, env) {
 // CREATE handler
 async function handleCreate(params) {
   const {
-    debug, BASE, BASE_HEADERS, log, rawPhone, name, pickup, destination, date, instructions, source, site_id
+    env, ctx, debug, BASE, BASE_HEADERS, log, rawPhone, name, pickup, pickup_point, destination, date, instructions, source, site_id
   } = params;
 
   // Validate required fields
@@ -225,12 +275,11 @@ async function handleCreate(params) {
   }
 
   // Parse and validate pickup time
-  const pickupISO = parseWhenToISO(date);
-  if (!pickupISO) {
-    return jsonResponse({ ok: false, error: "INVALID_DATE", message: "Could not parse pickup time" }, 400);
-  }
+  const when = parsePickupTime(date, { tz: SERVICE_TZ });
+  const timeError = pickupTimeError(when, date);
+  if (timeError) return timeError;
 
-  const finalPickupISO = ensureFutureISO(pickupISO, 2);
+  const finalPickupISO = ensureFutureISO(when.iso, 2);
 
   // Validate zones
   const [pickupZone, destZone] = await Promise.all([
@@ -289,10 +338,21 @@ async function handleCreate(params) {
       }, 400);
     }
 
+    const tripId = data.body?.trip_id || data.body?.booking?.trip_id;
+
+    // Known places on a booked trip feed the search popularity prior
+    await recordTrip(env, ctx, {
+      event_id: tripId ? `trip:${tripId}` : null,
+      pickup_location_id: pickup.location_id || null,
+      destination_location_id: destination.location_id || null,
+      at: finalPickupISO,
+    }, log);
+
     return jsonResponse({
       ok: true,
       created: true,
-      trip_id: data.body?.trip_id || data.body?.booking?.trip_id,
+      trip_id: tripId,
+      pickup_point: pickup_point || null,
       booking: data.body?.booking || data.body,
       debug: debug ? { request: createPayload, response: data } : undefined,
     });
@@ -383,14 +443,295 @@ async function handleCancel({ BASE, BASE_HEADERS, log, trip_id, debug }) {
   }
 }
 
-// UPDATE handler (placeholder - implement based on iCabbi API docs)
+// UPDATE handler - only sends fields that actually change, returns a diff
 async function handleUpdate(params) {
-  return jsonResponse({ ok: false, error: "NOT_IMPLEMENTED", message: "Update not implemented" }, 501);
+  const {
+    BASE, BASE_HEADERS, log, trip_id, phone, name, date, pickup, pickup_point, destination, instructions, route_by, site_id, debug
+  } = params;
+
+  if (!trip_id) {
+    return jsonResponse({ ok: false, error: "MISSING_TRIP_ID", message: "trip_id is required for update" }, 400);
+  }
+
+  // Load the booking as it stands so we can diff against it
+  const current = await fetchBooking(trip_id, BASE, BASE_HEADERS);
+  if (!current.ok) {
+    return jsonResponse({
+      ok: false,
+      error: "BOOKING_NOT_FOUND",
+      message: current.message || `Booking ${trip_id} not found`,
+      icabbiResponse: debug ? current.data : undefined,
+    }, 404);
+  }
+  const before = current.booking;
+
+  const payload = {};
+  const changes = {};
+
+  // Pickup time - only when a real value was given
+  if (hasValue(date)) {
+    const when = parsePickupTime(date, { tz: SERVICE_TZ });
+    const timeError = pickupTimeError(when, date);
+    if (timeError) return timeError;
+    const iso = ensureFutureISO(when.iso, 2);
+    if (!sameInstant(iso, before.pickup_date)) {
+      payload.date = iso;
+      payload.appointment_date = iso;
+      payload.planned_date = iso;
+      changes.pickup_date = { from: before.pickup_date || null, to: iso };
+    }
+  }
+
+  if (pickup?.lat && pickup?.lng) {
+    const next = toIcabbiAddress(pickup);
+    if (!samePlace(next, before.address)) {
+      payload.address = next;
+      changes.pickup = { from: before.address?.formatted || null, to: next.formatted };
+    }
+  }
+
+  if (destination?.lat && destination?.lng) {
+    const next = toIcabbiAddress(destination);
+    if (!samePlace(next, before.destination)) {
+      payload.destination = next;
+      changes.destination = { from: before.destination?.formatted || null, to: next.formatted };
+    }
+  }
+
+  if (name && name !== before.name) {
+    payload.name = name;
+    changes.name = { from: before.name || null, to: name };
+  }
+
+  if (phone && phone !== normalizePhone(before.phone)) {
+    payload.phone = toIcabbiPhone(phone); // API expects fleet format
+    changes.phone = { from: before.phone || null, to: phone };
+  }
+
+  if (instructions && instructions !== before.instructions) {
+    payload.instructions = instructions;
+    changes.instructions = { from: before.instructions || null, to: instructions };
+  }
+
+  if (typeof route_by === "string" && /^(appt|default)$/.test(route_by) && route_by !== before.route_by) {
+    payload.route_by = route_by;
+    changes.route_by = { from: before.route_by || null, to: route_by };
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return jsonResponse({
+      ok: true,
+      updated: false,
+      trip_id,
+      changes,
+      message: "Nothing to change",
+    });
+  }
+
+  // Moving the pickup or destination needs the same checks as a new booking
+  if (changes.pickup || changes.destination) {
+    const effectivePickupISO = payload.date || before.pickup_date;
+    const minutesOut = effectivePickupISO
+      ? Math.round((new Date(effectivePickupISO).getTime() - Date.now()) / 60000)
+      : null;
+
+    if (minutesOut != null && minutesOut < UPDATE_MIN_LEAD_MINUTES) {
+      return jsonResponse({
+        ok: false,
+        error: "UPDATE_TOO_CLOSE_TO_PICKUP",
+        message: `Pickup is ${Math.max(minutesOut, 0)} minutes away; address changes need at least ${UPDATE_MIN_LEAD_MINUTES} minutes`,
+        minutes_until_pickup: minutesOut,
+      }, 409);
+    }
+
+    const [pickupZone, destZone] = await Promise.all([
+      changes.pickup ? validateZone(payload.address.lat, payload.address.lng, BASE, BASE_HEADERS, log) : null,
+      changes.destination ? validateZone(payload.destination.lat, payload.destination.lng, BASE, BASE_HEADERS, log) : null,
+    ]);
+
+    if (pickupZone && !pickupZone.valid) {
+      return jsonResponse({
+        ok: false,
+        error: "PICKUP_ZONE_INVALID",
+        message: `Pickup location not in service area: ${pickupZone.reason}`,
+      }, 400);
+    }
+
+    if (destZone && !destZone.valid) {
+      return jsonResponse({
+        ok: false,
+        error: "DESTINATION_ZONE_INVALID",
+        message: `Destination not in service area: ${destZone.reason}`,
+      }, 400);
+    }
+
+    if (pickupZone?.primary?.id) payload.zone_id = parseInt(pickupZone.primary.id, 10);
+  }
+
+  if (site_id != null) payload.site_id = site_id;
+  payload.idempotency_key = `icb-up-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+  try {
+    const response = await fetch(`${BASE}/bookings/update/${encodeURIComponent(trip_id)}`, {
+      method: "POST",
+      headers: BASE_HEADERS,
+      body: JSON.stringify(payload),
+    });
+
+    const data = await safeJson(response);
+    const success = response.ok && (data.code === 0 || data.code === "0" || data.code === 200);
+
+    if (!success) {
+      return jsonResponse({
+        ok: false,
+        error: "UPDATE_FAILED",
+        message: data.message || "Booking update failed",
+        icabbiResponse: debug ? data : undefined,
+      }, 400);
+    }
+
+    log("info", "Booking updated", { trip_id, changed: Object.keys(changes) });
+
+    return jsonResponse({
+      ok: true,
+      updated: true,
+      trip_id,
+      changes,
+      pickup_point: pickup_point || null,
+      booking: data.body?.booking || data.body,
+      debug: debug ? { request: payload, response: data, before } : undefined,
+    });
+
+  } catch (error) {
+    return jsonResponse({
+      ok: false,
+      error: "UPDATE_ERROR",
+      message: error?.message || "Error updating booking",
+    }, 500);
+  }
 }
 
-// STATUS_UPDATE handler (placeholder)
-async function handleStatusUpdate(params) {
-  return jsonResponse({ ok: false, error: "NOT_IMPLEMENTED", message: "Status update not implemented" }, 501);
+// STATUS_UPDATE handler - validates the transition against the booking's current status
+async function handleStatusUpdate({ BASE, BASE_HEADERS, log, trip_id, perma_id, status, debug }) {
+  // iCabbi reads the booking by trip_id and sets its status by perma_id, so both are needed
+  if (!trip_id) {
+    return jsonResponse({
+      ok: false,
+      error: "MISSING_TRIP_ID",
+      message: "trip_id is required to look up the booking's current status",
+    }, 400);
+  }
+
+  if (!perma_id) {
+    return jsonResponse({ ok: false, error: "MISSING_PERMA_ID", message: "perma_id is required" }, 400);
+  }
+
+  if (!status) {
+    return jsonResponse({
+      ok: false,
+      error: "MISSING_STATUS",
+      message: "status is required",
+      allowed_statuses: ALLOWED_STATUSES,
+    }, 400);
+  }
+
+  const target = normalizeStatus(status);
+  if (!ALLOWED_STATUSES.includes(target)) {
+    return jsonResponse({
+      ok: false,
+      error: "INVALID_STATUS",
+      message: `Status '${status}' cannot be set here. Allowed: ${ALLOWED_STATUSES.join(", ")}`,
+      allowed_statuses: ALLOWED_STATUSES,
+    }, 400);
+  }
+
+  const current = await fetchBooking(trip_id, BASE, BASE_HEADERS);
+  if (!current.ok) {
+    return jsonResponse({
+      ok: false,
+      error: "BOOKING_NOT_FOUND",
+      message: current.message || `Booking ${trip_id} not found`,
+      icabbiResponse: debug ? current.data : undefined,
+    }, 404);
+  }
+
+  if (current.booking.perma_id && String(current.booking.perma_id) !== String(perma_id)) {
+    return jsonResponse({
+      ok: false,
+      error: "PERMA_ID_MISMATCH",
+      message: `Booking ${trip_id} has perma_id ${current.booking.perma_id}, not ${perma_id}`,
+    }, 400);
+  }
+
+  const from = normalizeStatus(current.booking.status);
+  const allowedNext = STATUS_TRANSITIONS[from];
+
+  if (!allowedNext) {
+    return jsonResponse({
+      ok: false,
+      error: "UNKNOWN_CURRENT_STATUS",
+      message: `Booking is in status '${current.booking.status}', which has no known transitions`,
+      current_status: current.booking.status,
+    }, 409);
+  }
+
+  if (!allowedNext.includes(target)) {
+    return jsonResponse({
+      ok: false,
+      error: "INVALID_STATUS_TRANSITION",
+      message: allowedNext.length
+        ? `Cannot move booking from ${from} to ${target}. Allowed next: ${allowedNext.join(", ")}`
+        : `Booking is already ${from} and cannot be changed`,
+      current_status: from,
+      requested_status: target,
+      allowed_next: allowedNext,
+    }, 409);
+  }
+
+  const payload = {
+    perma_id,
+    status: target,
+    idempotency_key: `icb-status-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+  };
+
+  try {
+    const response = await fetch(`${BASE}/bookings/status_update`, {
+      method: "POST",
+      headers: BASE_HEADERS,
+      body: JSON.stringify(payload),
+    });
+
+    const data = await safeJson(response);
+    const success = response.ok && (data.code === 0 || data.code === "0" || data.code === 200);
+
+    if (!success) {
+      return jsonResponse({
+        ok: false,
+        error: "STATUS_UPDATE_FAILED",
+        message: data.message || "Status update failed",
+        icabbiResponse: debug ? data : undefined,
+      }, 400);
+    }
+
+    log("info", "Booking status updated", { perma_id, from, to: target });
+
+    return jsonResponse({
+      ok: true,
+      status_updated: true,
+      perma_id,
+      trip_id,
+      previous_status: from,
+      status: target,
+      debug: debug ? { request: payload, response: data } : undefined,
+    });
+
+  } catch (error) {
+    return jsonResponse({
+      ok: false,
+      error: "STATUS_UPDATE_ERROR",
+      message: error?.message || "Error updating status",
+    }, 500);
+  }
 }
 
 // LIST handler for upcoming/active bookings
@@ -435,6 +776,61 @@ async function handleList({ BASE, BASE_HEADERS, log, endpoint, query, debug }) {
   }
 }
 
+// Pickup point (entrance / loading zone) of a known location -> booking fields.
+// Returns { pickup, instructions, pickup_point } or { error: Response }.
+async function applyPickupPoint(env, pickup, choice, instructions) {
+  if (!hasValue(choice)) return { pickup, instructions, pickup_point: null };
+
+  const locationId = pickup?.location_id;
+  if (!locationId) {
+    return {
+      error: jsonResponse({
+        ok: false,
+        error: "MISSING_LOCATION_ID",
+        message: "pickup.location_id is required when a pickup_point is given",
+      }, 400),
+    };
+  }
+
+  const db = await loadLocationDatabase(env);
+  const point = db.resolvePickupPoint(locationId, choice);
+  if (!point) {
+    return {
+      error: jsonResponse({
+        ok: false,
+        error: "UNKNOWN_PICKUP_POINT",
+        message: `'${choice}' is not a pickup point at ${locationId}`,
+        pickup_points: db.getPickupPoints(locationId).map(p => ({ id: p.id, name: p.name })),
+      }, 400),
+    };
+  }
+
+  // Re-sent instructions already carrying the note are left alone
+  const note = `${point.name}: ${point.instructions}`;
+  const merged = !hasValue(instructions)
+    ? note
+    : String(instructions).includes(note) ? instructions : `${note}. ${instructions}`;
+
+  return {
+    pickup: {
+      ...pickup,
+      lat: point.coordinates.lat,
+      lng: point.coordinates.lng,
+      address: pickup.address || db.findById(locationId)?.address,
+    },
+    instructions: merged,
+    pickup_point: { id: point.id, name: point.name, location_id: locationId },
+  };
+}
+
+// Never fails or delays the booking: a missed count only weakens the ranking prior
+async function recordTrip(env, ctx, trip, log) {
+  if (!env?.CALL_MEMORIES || (!trip.pickup_location_id && !trip.destination_location_id)) return;
+  const write = recordConfirmation(env.CALL_MEMORIES, trip)
+    .catch(error => log("warn", "Popularity update failed", { error: error?.message }));
+  if (ctx?.waitUntil) ctx.waitUntil(write); else await write;
+}
+
 // Utility functions - replicated from working Vercel version
 async function validateZone(lat, lng, BASE, BASE_HEADERS, log) {
   try {
@@ -463,6 +859,55 @@ async function validateZone(lat, lng, BASE, BASE_HEADERS, log) {
   }
 }
 
+async function fetchBooking(trip_id, BASE, BASE_HEADERS) {
+  try {
+    const response = await fetch(`${BASE}/bookings/get/${encodeURIComponent(trip_id)}`, {
+      method: "GET",
+      headers: BASE_HEADERS,
+    });
+    const data = await safeJson(response);
+    const success = response.ok && (data.code === 0 || data.code === "0" || data.code === 200);
+    const booking = data.body?.booking || null;
+    if (!success || !booking) return { ok: false, message: data.message, data };
+    return { ok: true, booking };
+  } catch (e) {
+    return { ok: false, message: e?.message };
+  }
+}
+
+function toIcabbiAddress(point) {
+  return {
+    lat: parseFloat(point.lat),
+    lng: parseFloat(point.lng),
+    formatted: point.address || `${point.lat}, ${point.lng}`,
+  };
+}
+
+// ~10m tolerance so re-sent coordinates don't count as a change
+function samePlace(next, prev) {
+  if (!prev) return false;
+  const dLat = Math.abs(next.lat - parseFloat(prev.lat));
+  const dLng = Math.abs(next.lng - parseFloat(prev.lng));
+  if (Number.isNaN(dLat) || Number.isNaN(dLng)) return false;
+  return dLat < 0.0001 && dLng < 0.0001;
+}
+
+function sameInstant(isoA, isoB) {
+  if (!isoA || !isoB) return false;
+  return Math.abs(new Date(isoA).getTime() - new Date(isoB).getTime()) < 60 * 1000;
+}
+
+function normalizeStatus(value) {
+  const key = String(value || "").trim().toUpperCase().replace(/[\s-]+/g, "_");
+  return STATUS_ALIASES[key] || key;
+}
+
+function hasValue(v) {
+  if (v == null) return false;
+  const s = String(v).trim().toLowerCase();
+  return s.length > 0 && s !== "undefined" && s !== "null";
+}
+
 function normalizePhone(input) {
   if (!input) return null;
   let raw = String(input).trim();
@@ -487,32 +932,30 @@ function toIcabbiPhone(e164) {
   return digits;
 }
 
-// Parse friendly/ISO-ish/epoch into UTC ISO, assuming SERVICE_TZ wall-clock when no TZ provided
-function parseWhenToISO(input) {
-  if (input == null) return null;
-  let text = String(input).trim();
-
-  // Epoch support
-  if (/^\d{10}$/.test(text)) return new Date(parseInt(text, 10) * 1000).toISOString();
-  if (/^\d{13}$/.test(text)) return new Date(parseInt(text, 10)).toISOString();
-
-  const s = text.toLowerCase();
-  const now = new Date();
-
-  // Handle "now" variants
-  if (/^(now|right now|asap|immediately|soon)$/.test(s)) {
-    return new Date(now.getTime() + 2 * 60 * 1000).toISOString();
+// Unparseable or ambiguous pickup time -> response Claire can turn into a follow-up question
+function pickupTimeError(when, input) {
+  if (!when.ok) {
+    return jsonResponse({
+      ok: false,
+      error: "INVALID_DATE",
+      message: `Could not parse pickup time '${input ?? ""}'`,
+      reason: when.error,
+      clarification_question: when.clarification_question || null,
+    }, 400);
   }
 
-  // Handle "in X minutes/hours"
-  let m = s.match(/^in\s+(\d{1,3})\s*(minute|minutes|min|hour|hours|hr|hrs)$/);
-  if (m) {
-    const amount = parseInt(m[1], 10);
-    const multi = m[2].startsWith("hour") || m[2].startsWith("hr") ? 60 : 1;
-    return new Date(now.getTime() + amount * multi * 60 * 1000).toISOString();
+  if (when.needs_clarification) {
+    return jsonResponse({
+      ok: false,
+      error: "AMBIGUOUS_DATE",
+      message: `Pickup time '${input}' is ambiguous (${when.ambiguity.join(", ")})`,
+      ambiguity: when.ambiguity,
+      clarification_question: when.clarification_question,
+      best_guess: { iso: when.iso, local_text: when.local_text },
+      alternatives: when.alternatives,
+    }, 422);
   }
 
-  // Basic time parsing - implement more sophisticated parsing as needed
   return null;
 }
 
@@ -0,0 +1,94 @@
+// src/handlers/locations-nearby.js
+// CLAIRE v4.2 - Closest known places to a coordinate
+// "What's the closest bar to me?" / "Which grocery is nearest?"
+
+import {
+  loadLocationDatabase,
+  DEFAULT_NEARBY_RADIUS_MILES,
+  MAX_NEARBY_RADIUS_MILES
+} from '../lib/location-db.js';
+import { jsonResponse } from '../lib/utils.js';
+
+const MAX_LIMIT = 20;
+
+export async function handleLocationsNearby(request, env) {
+  try {
+    // POST body, or query string for quick GET checks
+    const body = request.method === 'POST'
+      ? await request.json()
+      : Object.fromEntries(new URL(request.url).searchParams);
+
+    const lat = parseFloat(body.lat);
+    const lng = parseFloat(body.lng);
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return jsonResponse({
+        ok: false,
+        error: 'INVALID_COORDINATES',
+        message: 'lat and lng are required numbers'
+      }, 400);
+    }
+
+    const radius = parseFloat(body.radius_miles ?? DEFAULT_NEARBY_RADIUS_MILES);
+    if (Number.isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_MILES) {
+      return jsonResponse({
+        ok: false,
+        error: 'INVALID_RADIUS',
+        message: `radius_miles must be between 0 and ${MAX_NEARBY_RADIUS_MILES}`
+      }, 400);
+    }
+
+    const limit = Math.min(parseInt(body.limit ?? 5, 10) || 5, MAX_LIMIT);
+    const category = body.category || null;
+
+    const db = await loadLocationDatabase(env);
+    const nearby = db.nearby(lat, lng, { radius_miles: radius, category, max_results: limit });
+
+    const results = nearby.map(({ location, distance_miles }) => ({
+      location_id: location.id,
+      name: location.canonical_name,
+      category: location.category,
+      subcategory: location.subcategory || null,
+      address: location.address,
+      lat: location.coordinates.lat,
+      lng: location.coordinates.lng,
+      distance_miles,
+      price_level: location.price_level ?? null,
+      claire_script: location.claire_knows?.confirmation_phrase || null
+    }));
+
+    return jsonResponse({
+      ok: true,
+      origin: { lat, lng },
+      caller_town: db.detectCallerTown(lat, lng)?.name || null,
+      category,
+      radius_miles: radius,
+      count: results.length,
+      results,
+      claire_summary: summarizeNearby(results, category, radius),
+      dataset_version: db.version
+    });
+
+  } catch (error) {
+    console.error('[locations-nearby] Error:', error);
+    return jsonResponse({
+      ok: false,
+      error: 'NEARBY_FAILED',
+      message: error.message
+    }, 500);
+  }
+}
+
+function summarizeNearby(results, category, radius) {
+  const what = category ? String(category).replace(/_/g, ' ') : 'place';
+
+  if (results.length === 0) {
+    return `I don't have a ${what} within ${radius} miles of you.`;
+  }
+
+  const [closest] = results;
+  const distance = closest.distance_miles < 0.2
+    ? 'just around the corner'
+    : `about ${closest.distance_miles < 1 ? closest.distance_miles.toFixed(1) : Math.round(closest.distance_miles)} mile${closest.distance_miles >= 1.5 ? 's' : ''} away`;
+
+  return `The closest ${what} is ${closest.name}, ${distance}.`;
+}
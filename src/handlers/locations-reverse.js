@@ -0,0 +1,55 @@
+// src/handlers/locations-reverse.js
+// CLAIRE v4.2 - Which known place is this coordinate?
+
+import { reverseLookup, spokenPlace } from '../lib/reverse-lookup.js';
+import { jsonResponse } from '../lib/utils.js';
+
+export async function handleLocationsReverse(request, env) {
+  try {
+    // POST body, or query string for quick GET checks
+    const body = request.method === 'POST'
+      ? await request.json()
+      : Object.fromEntries(new URL(request.url).searchParams);
+
+    const lat = parseFloat(body.lat);
+    const lng = parseFloat(body.lng);
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return jsonResponse({
+        ok: false,
+        error: 'INVALID_COORDINATES',
+        message: 'lat and lng are required numbers'
+      }, 400);
+    }
+
+    let tolerance = null;
+    if (body.tolerance_meters !== undefined) {
+      tolerance = parseFloat(body.tolerance_meters);
+      if (Number.isNaN(tolerance) || tolerance <= 0 || tolerance > 5000) {
+        return jsonResponse({
+          ok: false,
+          error: 'INVALID_TOLERANCE',
+          message: 'tolerance_meters must be between 0 and 5000'
+        }, 400);
+      }
+    }
+
+    const result = await reverseLookup(env, lat, lng, {
+      tolerance_meters: tolerance,
+      allow_google: body.allow_google !== false && body.allow_google !== 'false'
+    });
+
+    return jsonResponse({
+      ok: true,
+      ...result,
+      spoken_name: spokenPlace(result)
+    });
+
+  } catch (error) {
+    console.error('[locations-reverse] Error:', error);
+    return jsonResponse({
+      ok: false,
+      error: 'REVERSE_LOOKUP_FAILED',
+      message: error.message
+    }, 500);
+  }
+}
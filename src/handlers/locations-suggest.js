@@ -0,0 +1,322 @@
+// src/handlers/locations-suggest.js
+// CLAIRE v4.2 - Suggestions by intent instead of by name
+// "Somewhere for sushi near the Jerome" / "a good steakhouse downtown" /
+// "the closest pharmacy" / "a cheap bar that's still open"
+
+import {
+  loadLocationDatabase,
+  DEFAULT_NEARBY_RADIUS_MILES,
+  MAX_NEARBY_RADIUS_MILES
+} from '../lib/location-db.js';
+import { loadPopularityPrior } from '../lib/location-popularity.js';
+import { parsePickupTime, SERVICE_TZ } from '../lib/time-parser.js';
+import { jsonResponse } from '../lib/utils.js';
+
+const MAX_LIMIT = 10;
+
+// Weakest name match accepted for a spoken anchor (keyword tier)
+const MIN_ANCHOR_SCORE = 0.6;
+
+// Spoken wants -> what the data calls them
+const INTENT_ALIASES = {
+  eat: 'restaurant',
+  food: 'restaurant',
+  dinner: 'restaurant',
+  drink: 'bar',
+  drinks: 'bar',
+  groceries: 'grocery',
+  'grocery store': 'grocery',
+  supermarket: 'grocery',
+  er: 'hospital',
+  'emergency room': 'hospital',
+  doctor: 'medical',
+  steak: 'steakhouse',
+  pie: 'pies'
+};
+
+const PRICE_WORDS = [
+  { pattern: /\b(cheap|inexpensive|affordable|budget)\b/, max_price: 2 },
+  { pattern: /\b(fancy|upscale|high end|expensive|splurge)\b/, min_price: 3 }
+];
+
+// Words that carry no intent ("somewhere good for ...")
+const FILLER = new Set([
+  'a', 'an', 'the', 'some', 'somewhere', 'something', 'place', 'spot', 'for', 'good', 'great',
+  'best', 'nice', 'to', 'get', 'go', 'i', 'we', 'want', 'need', 'find', 'me', 'us', 'looking',
+  'where', 'can', 'is', 'there', 'any', 'that', 'thats', 'with', 'of', 'in', 'please', 'around',
+  'local', 'decent', 'quick', 'grab', 'have', 'has', 'know', 'you', 'do'
+]);
+
+export async function handleLocationsSuggest(request, env) {
+  try {
+    // POST body, or query string for quick GET checks
+    const body = request.method === 'POST'
+      ? await request.json()
+      : Object.fromEntries(new URL(request.url).searchParams);
+
+    const db = await loadLocationDatabase(env);
+    const parsed = parseIntentQuery(body.query || '', { towns: townNames(db) });
+    const what = body.what || body.category || parsed.what;
+    if (!what) {
+      return jsonResponse({
+        ok: false,
+        error: 'MISSING_INTENT',
+        message: 'what (category or keyword) or a query naming one is required'
+      }, 400);
+    }
+
+    const radius = parseFloat(body.radius_miles ?? DEFAULT_NEARBY_RADIUS_MILES);
+    if (Number.isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_MILES) {
+      return jsonResponse({
+        ok: false,
+        error: 'INVALID_RADIUS',
+        message: `radius_miles must be between 0 and ${MAX_NEARBY_RADIUS_MILES}`
+      }, 400);
+    }
+
+    const price = {
+      min: toPrice(body.min_price ?? body.price_level ?? parsed.min_price),
+      max: toPrice(body.max_price ?? body.price_level ?? parsed.max_price)
+    };
+
+    const caller = toCoords(body.lat, body.lng);
+    const anchor = resolveAnchor(db, body.anchor ?? parsed.anchor, caller, body.town || parsed.town);
+    if (anchor.error) return jsonResponse({ ok: false, ...anchor.error }, 400);
+
+    // Open-now filter: "still open", open_now, or an explicit time
+    const openNow = body.open_now === true || body.open_now === 'true' || parsed.open_now;
+    let openAt = null;
+    const at = body.at || parsed.at;
+    if (at) {
+      const when = parsePickupTime(at, { tz: SERVICE_TZ });
+      if (when.ok) openAt = new Date(when.iso);
+    } else if (openNow) {
+      openAt = new Date();
+    }
+
+    const limit = Math.min(parseInt(body.limit ?? 3, 10) || 3, MAX_LIMIT);
+    const suggestions = db.suggest(what, {
+      near: anchor.coords,
+      radius_miles: radius,
+      min_price: price.min,
+      max_price: price.max,
+      open_at: openAt,
+      closest: body.closest === true || body.closest === 'true' || parsed.closest,
+      prior: await loadPopularityPrior(env),
+      prior_context: { instant: openAt || new Date() },
+      max_results: limit
+    });
+
+    const results = suggestions.map(s => ({
+      location_id: s.location.id,
+      name: s.location.canonical_name,
+      category: s.location.category,
+      subcategory: s.location.subcategory || null,
+      price_level: s.location.price_level ?? null,
+      address: s.location.address,
+      lat: s.location.coordinates.lat,
+      lng: s.location.coordinates.lng,
+      distance_miles: s.distance_miles,
+      relevance: s.relevance,
+      matched_on: s.matched_on,
+      rank: s.rank,
+      open: s.opening ? s.opening.open : null,
+      closes_at: s.opening?.closes_at?.text || null,
+      popularity: s.prior,
+      claire_knows: {
+        greeting_phrase: s.location.claire_knows?.greeting_phrase || null,
+        confirmation_phrase: s.location.claire_knows?.confirmation_phrase || null,
+        destination_context: s.location.claire_knows?.destination_context || null
+      }
+    }));
+
+    return jsonResponse({
+      ok: true,
+      query: body.query || null,
+      what,
+      anchor: anchor.coords ? { ...anchor.coords, name: anchor.name, source: anchor.source } : null,
+      filters: {
+        min_price: price.min,
+        max_price: price.max,
+        open_at: openAt ? openAt.toISOString() : null,
+        radius_miles: anchor.coords ? radius : null
+      },
+      count: results.length,
+      results,
+      claire_summary: summarizeSuggestions(results, what, anchor),
+      dataset_version: db.version
+    });
+
+  } catch (error) {
+    console.error('[locations-suggest] Error:', error);
+    return jsonResponse({
+      ok: false,
+      error: 'SUGGEST_FAILED',
+      message: error.message
+    }, 500);
+  }
+}
+
+/**
+ * Split a spoken request into intent, anchor and filters.
+ * "a cheap sushi place near the Jerome that's still open" ->
+ *   { what: 'sushi', anchor: 'the jerome', max_price: 2, open_now: true }
+ * "a steakhouse in aspen" -> { what: 'steakhouse', anchor: { town: 'aspen' } }
+ * "somewhere for dinner around 7" -> { what: 'restaurant', at: '7' }
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.towns] - Town names (lower case) that "in <town>" may name
+ */
+export function parseIntentQuery(text, { towns = [] } = {}) {
+  let rest = ` ${String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+  const result = {
+    what: null, anchor: null, town: null, at: null, min_price: null, max_price: null, open_now: false, closest: false
+  };
+
+  // "in aspen": the town anchors the search unless a place is named too
+  const town = [...towns]
+    .sort((a, b) => b.length - a.length)
+    .find(name => rest.includes(` in ${name} `));
+  if (town) {
+    result.town = town;
+    rest = rest.replace(` in ${town} `, ' ');
+  }
+
+  if (/\b(still open|open now|open right now|open late|is open|s open|that s open|thats open)\b/.test(rest)) {
+    result.open_now = true;
+    rest = rest.replace(/\b(that s |thats |that is |which is )?(still open|open now|open right now|open late|is open|s open)\b/g, ' ');
+  }
+
+  if (/\b(closest|nearest)\b/.test(rest)) {
+    result.closest = true;
+    rest = rest.replace(/\b(closest|nearest)\b/g, ' ');
+  }
+
+  for (const word of PRICE_WORDS) {
+    if (word.pattern.test(rest)) {
+      if (word.max_price) result.max_price = word.max_price;
+      if (word.min_price) result.min_price = word.min_price;
+      rest = rest.replace(word.pattern, ' ');
+    }
+  }
+
+  // Anchor after the last "near / by / next to / close to / around"
+  const anchorMatch = /\b(?:near|by|next to|close to|around|walking distance of|from)\b(?!.*\b(?:near|by|next to|close to)\b)(.*)$/.exec(rest);
+  if (anchorMatch && anchorMatch[1].trim()) {
+    const phrase = anchorMatch[1].trim();
+    // "around 7" / "by 8 pm" is when, not where
+    const when = parsePickupTime(phrase, { tz: SERVICE_TZ });
+    if (when.ok || when.error === 'TIME_REQUIRED') {
+      if (when.ok && when.kind === 'absolute') result.at = phrase;
+    } else {
+      result.anchor = phrase;
+    }
+    rest = rest.slice(0, anchorMatch.index);
+  }
+  if (!result.anchor && /\bdowntown\b/.test(rest)) {
+    result.anchor = 'downtown';
+    rest = rest.replace(/\bdowntown\b/, ' ');
+  } else if (!result.anchor && result.town) {
+    result.anchor = { town: result.town };
+  }
+
+  const words = rest.trim().split(' ').filter(word => word && !FILLER.has(word));
+  const phrase = words.join(' ');
+  result.what = INTENT_ALIASES[phrase] ||
+    (words.length > 0 ? words.map(word => INTENT_ALIASES[word] || word).join(' ') : null);
+  return result;
+}
+
+// Anchor: { location_id } | { lat, lng } | { town } | spoken text ("the jerome",
+// "my hotel", "downtown"). "me" / "my ..." and no anchor at all use the
+// caller's coordinates when they're known.
+function resolveAnchor(db, anchor, caller, town) {
+  if (!anchor) {
+    return caller ? { coords: caller, name: null, source: 'caller' } : { coords: null };
+  }
+
+  if (typeof anchor === 'object') {
+    if (anchor.location_id) {
+      const loc = db.findById(anchor.location_id);
+      if (!loc) {
+        return { error: { error: 'UNKNOWN_ANCHOR', message: `Location '${anchor.location_id}' not found` } };
+      }
+      return { coords: { ...loc.coordinates }, name: loc.canonical_name, source: 'location' };
+    }
+    const coords = toCoords(anchor.lat, anchor.lng);
+    if (coords) return { coords, name: null, source: 'coordinates' };
+    if (anchor.town) return townAnchor(db, anchor.town);
+    return { error: { error: 'INVALID_ANCHOR', message: 'anchor needs location_id, lat/lng or town' } };
+  }
+
+  const text = String(anchor).trim();
+  if (/^(me|here|my\b.*)$/.test(text)) {
+    return caller
+      ? { coords: caller, name: null, source: 'caller' }
+      : { coords: null };
+  }
+
+  if (text === 'downtown' || text.startsWith('downtown ')) {
+    const townName = text.slice('downtown'.length).trim() || town ||
+      (caller ? db.detectCallerTown(caller.lat, caller.lng)?.key : null);
+    return townName ? townAnchor(db, townName) : { coords: null };
+  }
+
+  // A name, not a loose guess: fuzzy-only matches don't count
+  const [match] = db.search(text.replace(/^the /, ''), { caller_coords: caller, max_results: 1 });
+  if (!match || match.score < MIN_ANCHOR_SCORE) {
+    return { error: { error: 'UNKNOWN_ANCHOR', message: `Could not find '${text}' to search near` } };
+  }
+  return { coords: { ...match.location.coordinates }, name: match.location.canonical_name, source: 'search' };
+}
+
+function townAnchor(db, name) {
+  const key = String(name).toLowerCase().trim().replace(/\s+/g, '-');
+  const entry = Object.entries(db.towns).find(([townKey, data]) =>
+    townKey === key || String(data.display_name).toLowerCase() === String(name).toLowerCase().trim());
+  if (!entry) {
+    return { error: { error: 'UNKNOWN_ANCHOR', message: `Unknown town '${name}'` } };
+  }
+  const [, data] = entry;
+  return { coords: { ...data.coordinates }, name: `downtown ${data.display_name}`, source: 'town' };
+}
+
+// Lower-case town names and keys, for "in <town>"
+function townNames(db) {
+  return Object.entries(db.towns || {}).flatMap(([key, data]) =>
+    [key.replace(/[_-]+/g, ' '), String(data.display_name || '').toLowerCase()].filter(Boolean));
+}
+
+function toCoords(lat, lng) {
+  const la = parseFloat(lat);
+  const ln = parseFloat(lng);
+  if (Number.isNaN(la) || Number.isNaN(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+  return { lat: la, lng: ln };
+}
+
+function toPrice(value) {
+  const n = parseInt(value, 10);
+  return n >= 1 && n <= 4 ? n : null;
+}
+
+function summarizeSuggestions(results, what, anchor) {
+  const where = anchor.name ? ` near ${anchor.name}` : anchor.coords ? ' near you' : '';
+  // "a steakhouse" / "a bar", but "sushi" / "pizza"
+  const kind = results[0]?.matched_on === 'category' || /(house|bar|store|diner|pub|tavern|cafe)$/.test(what)
+    ? `a ${what}`
+    : what;
+
+  if (results.length === 0) {
+    return `I don't know of ${kind}${where}.`;
+  }
+
+  const describe = r => {
+    const context = r.claire_knows.destination_context;
+    return context ? `${r.name} - ${context.charAt(0).toLowerCase()}${context.slice(1)}` : r.name;
+  };
+  const [first] = results;
+  const second = results.find(r => r.name !== first.name);
+  return second
+    ? `For ${kind}${where}, I'd suggest ${describe(first)}. There's also ${second.name}.`
+    : `For ${kind}${where}, I'd suggest ${describe(first)}.`;
+}
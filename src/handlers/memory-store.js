@@ -3,6 +3,9 @@
 // Works with callcab-lookup-master.js for seamless memory retrieval
 // Key: Uses CONSISTENT phone format across all storage keys
 
+import { reverseLookup } from '../lib/reverse-lookup.js';
+import { recordConfirmation } from '../lib/location-popularity.js';
+
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
@@ -12,7 +15,7 @@ const CORS_HEADERS = {
 /**
  * Handle memory store requests (end-of-call webhooks from Vapi)
  */
-export async function handleMemoryStore(request, env) {
+export async function handleMemoryStore(request, env, ctx) {
   const startTime = Date.now();
 
   try {
@@ -157,6 +160,12 @@ export async function handleMemoryStore(request, env) {
     // BUILD MEMORY ENTRY
     // ========================================================================
 
+    // Tie trip coordinates to curated places for callback greetings
+    const [lastPickupPlace, lastDropoffPlace] = await Promise.all([
+      snapToPlace(env, structuredData.last_pickup_lat, structuredData.last_pickup_lng),
+      snapToPlace(env, structuredData.last_dropoff_lat, structuredData.last_dropoff_lng)
+    ]);
+
     const memoryEntry = {
       call_id: callId,
       timestamp: now.toISOString(),
@@ -172,9 +181,11 @@ export async function handleMemoryStore(request, env) {
       last_pickup: structuredData.last_pickup || null,
       last_pickup_lat: structuredData.last_pickup_lat || null,
       last_pickup_lng: structuredData.last_pickup_lng || null,
+      last_pickup_place: lastPickupPlace,
       last_dropoff: structuredData.last_dropoff || null,
       last_dropoff_lat: structuredData.last_dropoff_lat || null,
       last_dropoff_lng: structuredData.last_dropoff_lng || null,
+      last_dropoff_place: lastDropoffPlace,
       last_trip_id: structuredData.last_trip_id || null,
       account_used: structuredData.account_used || null,
       
@@ -299,6 +310,23 @@ export async function handleMemoryStore(request, env) {
       console.error('[MemoryStore] Phone index save failed:', error);
     }
     
+    // ========================================================================
+    // POPULARITY PRIOR (booked trips between known places)
+    // ========================================================================
+
+    // Only with a trip id: the same event id icabbi-booking uses, so the trip
+    // is counted once. Without one the booking call has already counted it.
+    if (memoryEntry.outcome === 'booking_created' && memoryEntry.last_trip_id &&
+        (lastPickupPlace?.location_id || lastDropoffPlace?.location_id)) {
+      const write = recordConfirmation(env.CALL_MEMORIES, {
+        event_id: `trip:${memoryEntry.last_trip_id}`,
+        pickup_location_id: lastPickupPlace?.location_id || null,
+        destination_location_id: lastDropoffPlace?.location_id || null
+      }).catch(error => console.error('[MemoryStore] Popularity update failed:', error));
+      if (ctx?.waitUntil) ctx.waitUntil(write); else await write;
+      redundancySaves.push('popularity');
+    }
+
     const processingTime = Date.now() - startTime;
     
     console.log(`[MemoryStore] ✅ SUCCESS: ${phone} - ${history.length} entries in ${processingTime}ms`);
@@ -478,6 +506,30 @@ async function getExistingMemory(phone, env) {
   }
 }
 
+// ============================================================================
+// PLACE SNAPPING
+// ============================================================================
+
+// Local database only - a webhook shouldn't wait on Google
+async function snapToPlace(env, lat, lng) {
+  const la = parseFloat(lat);
+  const ln = parseFloat(lng);
+  if (Number.isNaN(la) || Number.isNaN(ln)) return null;
+
+  try {
+    const result = await reverseLookup(env, la, ln, { allow_google: false });
+    if (!result.matched) return null;
+    return {
+      location_id: result.location_id,
+      name: result.name,
+      distance_meters: result.distance_meters
+    };
+  } catch (error) {
+    console.error('[MemoryStore] Place snap failed:', error);
+    return null;
+  }
+}
+
 // ============================================================================
 // AGGREGATED CONTEXT BUILDER (3-CONVERSATION PRIORITY)
 // ============================================================================
@@ -1,11 +1,19 @@
-import { LocationDatabase } from '../lib/location-db.js';
-import { geocodeAddress } from '../lib/google-api.js';
+import { loadLocationDatabase } from '../lib/location-db.js';
+import { geocodeAddress, estimateDriveTime } from '../lib/google-api.js';
 import { jsonResponse } from '../lib/utils.js';
+import { normalizeSpokenQuery } from '../lib/address-normalizer.js';
+import { parseStreetAddress, parseGoogleAddress, withUnit, addressGaps } from '../lib/address-parser.js';
+import { loadAccountRegistry } from '../lib/account-registry.js';
+import { parsePickupTime, SERVICE_TZ } from '../lib/time-parser.js';
+import { loadPopularityPrior } from '../lib/location-popularity.js';
+
+// Warn when a destination closes this soon after the caller arrives
+const CLOSES_SOON_MINUTES = 45;
 
 export async function handleValidateAddress(request, env) {
   try {
     const body = await request.json();
-    const { query, caller_context = {} } = body;
+    const { query, caller_context = {}, fuzzy_threshold, account_id, account_hints = [], pickup_point, pickup_time, arrival_time, role, pickup_location_id } = body;
 
     if (!query) {
       return jsonResponse({
@@ -15,7 +23,7 @@ export async function handleValidateAddress(request, env) {
       }, 400);
     }
 
-    const db = new LocationDatabase();
+    const db = await loadLocationDatabase(env);
     
     // Detect caller's town if coords provided
     let callerTown = null;
@@ -26,11 +34,31 @@ export async function handleValidateAddress(request, env) {
       );
     }
 
-    // Search local database first
-    const matches = db.search(query, {
+    // "three oh three east main street" -> "303 E Main St"
+    const normalized = normalizeSpokenQuery(query);
+    const requested = requestedTime(pickup_time);
+    const searchOptions = {
       caller_coords: caller_context.last_pickup_coords,
-      max_results: 5
-    });
+      max_results: 5,
+      fuzzy_threshold: resolveFuzzyThreshold(fuzzy_threshold, env),
+      // Where people confirmed going, at this time of day / from this pickup
+      prior: await loadPopularityPrior(env),
+      prior_context: { instant: requested.instant, after_location_id: role === 'pickup' ? null : pickup_location_id || null }
+    };
+
+    // Search local database first. Names can contain number words
+    // ("Two Rivers Park"), so the raw query wins when it scores higher.
+    let matches = db.search(normalized.query, searchOptions);
+    if (normalized.changed) {
+      const rawMatches = db.search(query, searchOptions);
+      if (rawMatches.length > 0 && (matches.length === 0 || rawMatches[0].score > matches[0].score)) {
+        matches = rawMatches;
+      }
+    }
+
+    // What the caller said, split into fields (the unit only ever comes from here)
+    const townNames = Object.values(db.towns).map(t => t.display_name).filter(Boolean);
+    const spoken = parseStreetAddress(normalized.query, { towns: townNames });
 
     if (matches.length > 0) {
       const bestMatch = matches[0];
@@ -46,6 +74,9 @@ export async function handleValidateAddress(request, env) {
         source: 'local_db',
         match_type: bestMatch.match_type,
         confidence: bestMatch.score,
+        fuzzy_match: bestMatch.fuzzy || null,
+        popularity: bestMatch.prior || null,
+        normalized_query: normalized.query,
         
         // Location details
         location_id: location.id,
@@ -74,6 +105,10 @@ export async function handleValidateAddress(request, env) {
         alternative_matches: needsDisambiguation ? matches.slice(1, 3).map(m => ({
           name: m.location.canonical_name,
           address: m.location.address,
+          match_type: m.match_type,
+          score: m.score,
+          fuzzy_match: m.fuzzy || null,
+          popularity: m.prior || null,
           distance_miles: callerTown ? db.calculateDistance(
             caller_context.last_pickup_coords.lat,
             caller_context.last_pickup_coords.lng,
@@ -87,9 +122,20 @@ export async function handleValidateAddress(request, env) {
         destination_context: location.claire_knows?.destination_context || null,
         
         // Localization
-        localized_from: callerTown?.name || null
+        localized_from: callerTown?.name || null,
+
+        dataset_version: db.version
       };
 
+      const components = withUnit(parseStreetAddress(location.address, { towns: townNames }), spoken.unit);
+      Object.assign(response, addressCheck(components, location, { account_id, account_hints }));
+      Object.assign(response, pickupPointCheck(db, location, pickup_point));
+      Object.assign(response, accessCheck(db, location, requested, role));
+      const arrival = arrival_time
+        ? requestedTime(arrival_time)
+        : estimatedArrival(db, location, requested, role, pickup_location_id, caller_context.last_pickup_coords);
+      Object.assign(response, hoursCheck(db, location, arrival, role));
+
       // Check for confusion matrix
       const confusionGroup = db.getConfusionGroup(location.id);
       if (confusionGroup) {
@@ -101,14 +147,17 @@ export async function handleValidateAddress(request, env) {
 
     // Fallback to Google Maps API
     if (env.GOOGLE_MAPS_API_KEY) {
-      const geocoded = await geocodeAddress(query + ', Colorado', env.GOOGLE_MAPS_API_KEY);
+      const geocoded = await geocodeAddress(normalized.query + ', Colorado', env.GOOGLE_MAPS_API_KEY);
       
       if (geocoded) {
+        const components = withUnit(parseGoogleAddress(geocoded, { towns: townNames }), spoken.unit);
+
         return jsonResponse({
           ok: true,
           is_valid: true,
           source: 'google_maps',
           confidence: 0.6,
+          normalized_query: normalized.query,
           
           best_match_name: query,
           normalized_address: geocoded.formatted_address,
@@ -123,7 +172,9 @@ export async function handleValidateAddress(request, env) {
           },
           
           disambiguation_needed: false,
-          claire_script: null
+          claire_script: null,
+
+          ...addressCheck(components, null, { account_id, account_hints })
         });
       }
     }
@@ -133,7 +184,9 @@ export async function handleValidateAddress(request, env) {
       ok: true,
       is_valid: false,
       matches: [],
-      message: 'Could not find that location. Please try a nearby cross street or landmark.'
+      normalized_query: normalized.query,
+      message: 'Could not find that location. Please try a nearby cross street or landmark.',
+      ...addressCheck(spoken, null, { account_id, account_hints })
     });
 
   } catch (error) {
@@ -144,4 +197,164 @@ export async function handleValidateAddress(request, env) {
       message: error.message
     }, 500);
   }
-}
\ No newline at end of file
+}
+
+// Request override, then FUZZY_MATCH_THRESHOLD var, then the library default
+function resolveFuzzyThreshold(requested, env) {
+  for (const value of [requested, env.FUZZY_MATCH_THRESHOLD]) {
+    const n = parseFloat(value);
+    if (!Number.isNaN(n) && n > 0 && n <= 1) return n;
+  }
+  return undefined;
+}
+
+// "tomorrow at 6" -> { instant, local_text, requested }; now when missing or unparseable
+function requestedTime(text) {
+  const when = text ? parsePickupTime(text, { tz: SERVICE_TZ }) : null;
+  return {
+    instant: when?.ok ? new Date(when.iso) : new Date(),
+    local_text: when?.ok ? when.local_text : null,
+    requested: Boolean(when?.ok)
+  };
+}
+
+// Seasonal / time-of-day access rules at the requested pickup time.
+// `role` ('pickup' | 'destination') narrows what counts as blocked.
+function accessCheck(db, location, { instant, local_text, requested }, role) {
+  const active = db.activeRestrictions(location.id, instant, { tz: SERVICE_TZ });
+
+  const blocksPickup = active.some(rule => rule.blocks.includes('pickup'));
+  const blocksDropoff = active.some(rule => rule.blocks.includes('dropoff'));
+  const blocked = role === 'pickup' ? blocksPickup
+    : role === 'destination' ? blocksDropoff
+    : blocksPickup || blocksDropoff;
+
+  const restrictions = { ...(location.restrictions || {}) };
+  if (blocksPickup) restrictions.allows_pickup = false;
+  if (blocksDropoff) restrictions.allows_dropoff = false;
+
+  return {
+    restrictions,
+    evaluated_at: { iso: instant.toISOString(), local_text, requested },
+    active_restrictions: active,
+    access_blocked: blocked,
+    access_script: (active.find(rule => rule.blocks.length > 0) || active[0])?.script || null
+  };
+}
+
+// No arrival_time: a destination is reached a drive after pickup, timed from
+// the pickup location (else the caller's coordinates) by straight-line estimate
+function estimatedArrival(db, location, requested, role, pickupLocationId, callerCoords) {
+  if (role === 'pickup') return requested;
+  const origin = (pickupLocationId && db.findById(pickupLocationId)?.coordinates) || callerCoords;
+  if (!origin?.lat || !origin?.lng || !location.coordinates) return requested;
+
+  const drive = estimateDriveTime(origin, location.coordinates);
+  return { ...requested, instant: new Date(requested.instant.getTime() + drive.duration_minutes * 60000) };
+}
+
+// Business hours when the caller gets there (arrival_time, else the pickup
+// time plus the drive). Unknown hours give null flags; no script for pickups.
+function hoursCheck(db, location, { instant }, role) {
+  const status = db.openingStatus(location.id, instant, { tz: SERVICE_TZ });
+  if (!status) {
+    return { open_at_eta: null, closes_soon: null, hours_at_eta: null, hours_script: null };
+  }
+
+  const closesSoon = status.open && status.closes_at !== null && status.closes_at.minutes_away <= CLOSES_SOON_MINUTES;
+  const name = location.canonical_name;
+  let script = null;
+  if (!status.open) {
+    script = `Just so you know, ${name} ${status.reason ? `is ${status.reason}` : 'will be closed when you get there'}` +
+      (status.opens_at ? `. It opens at ${status.opens_at.text}.` : '.');
+  } else if (closesSoon) {
+    script = `Just so you know, ${name} closes at ${status.closes_at.text}, about ${status.closes_at.minutes_away} minutes after you get there.`;
+  }
+
+  return {
+    open_at_eta: status.open,
+    closes_soon: closesSoon,
+    hours_at_eta: { eta: instant.toISOString(), ...status },
+    hours_script: role === 'pickup' ? null : script
+  };
+}
+
+// Entrances / loading zones: which one the caller picked, or the question
+// to ask when there are several ("front entrance or the Durant side?")
+function pickupPointCheck(db, location, choice) {
+  const points = db.getPickupPoints(location.id);
+  if (points.length === 0) {
+    return { pickup_points: [], pickup_point: null, pickup_point_needed: false, pickup_point_question: null };
+  }
+
+  const chosen = choice
+    ? db.resolvePickupPoint(location.id, choice)
+    : points.length === 1 ? points[0] : null;
+  const needed = !chosen;
+
+  return {
+    pickup_points: points.map(point => ({
+      id: point.id,
+      name: point.name,
+      lat: point.coordinates.lat,
+      lng: point.coordinates.lng,
+      instructions: point.instructions,
+      default: Boolean(point.default)
+    })),
+    pickup_point: chosen ? { id: chosen.id, name: chosen.name, lat: chosen.coordinates.lat, lng: chosen.coordinates.lng, instructions: chosen.instructions } : null,
+    pickup_point_unmatched: choice && !chosen ? choice : null,
+    pickup_point_needed: needed,
+    pickup_point_question: needed ? pickupPointQuestion(location, points) : null
+  };
+}
+
+function pickupPointQuestion(location, points) {
+  // "Front entrance" -> "the front entrance", but "Durant Avenue side" keeps its capitals
+  const names = points.map(point => {
+    const rest = point.name.split(' ').slice(1);
+    const sentenceCase = rest.every(word => word === word.toLowerCase());
+    return `the ${sentenceCase ? point.name.toLowerCase() : point.name}`;
+  });
+  const options = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+    : names[0];
+  return `At ${location.canonical_name}, should the driver meet you at ${options}?`;
+}
+
+// Structured address plus unit / exact-address gaps for the matched
+// building or any account the caller mentioned (Frias, Signature Properties)
+function addressCheck(components, location, { account_id, account_hints }) {
+  const registry = loadAccountRegistry();
+  const accounts = [
+    location?.account?.account_id,
+    account_id,
+    // a single hint may arrive as a plain string
+    ...[].concat(account_hints ?? []).filter(hint => typeof hint === 'string')
+  ]
+    .filter(Boolean)
+    .map(id => registry.findById(String(id)) || registry.findByHint(String(id)))
+    .filter(Boolean);
+
+  const requirements = {
+    requires_exact_address: false,
+    requires_unit_number: Boolean(location?.restrictions?.requires_unit_number)
+  };
+  const requiredBy = [];
+  for (const account of accounts) {
+    const needs = registry.getAddressRequirements(account);
+    if (!needs) continue;
+    requirements.requires_exact_address ||= needs.requires_exact_address;
+    requirements.requires_unit_number ||= needs.requires_unit_number;
+    requiredBy.push({ account_id: account.id, account_name: account.name });
+  }
+
+  const gaps = addressGaps(components, requirements);
+
+  return {
+    address_components: components,
+    address_requirements: { ...requirements, required_by: requiredBy },
+    exact_address_missing: gaps.exact_address_missing,
+    unit_missing: gaps.unit_missing,
+    address_prompt: gaps.claire_prompt
+  };
+}
@@ -7,6 +7,11 @@ import { handleIcabbiLookup } from './handlers/icabbi-lookup.js';
 import { handleIcabbiBooking } from './handlers/icabbi-booking.js';
 import { handleCallcabLookupMaster } from './handlers/callcab-lookup-master.js';
 import { handleMemoryStore } from './handlers/memory-store.js';
+import { handleAdminLocations } from './handlers/admin-locations.js';
+import { handleLocationsNearby } from './handlers/locations-nearby.js';
+import { handleLocationsReverse } from './handlers/locations-reverse.js';
+import { handleLocationsSuggest } from './handlers/locations-suggest.js';
+import { aggregatePopularity } from './lib/location-popularity.js';
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
@@ -43,7 +48,11 @@ export default {
             '/icabbi-lookup',
             '/icabbi-booking',
             '/callcab-lookup-master',
-            '/store'
+            '/store',
+            '/locations/nearby',
+            '/locations/reverse',
+            '/locations/suggest',
+            '/admin/locations'
           ],
         });
       }
@@ -63,13 +72,25 @@ export default {
           return await handleIcabbiLookup(request, env);
 
         case '/icabbi-booking':
-          return await handleIcabbiBooking(request, env);
+          return await handleIcabbiBooking(request, env, ctx);
 
         case '/callcab-lookup-master':
           return await handleCallcabLookupMaster(request, env);
 
         case '/store':
-          return await handleMemoryStore(request, env);
+          return await handleMemoryStore(request, env, ctx);
+
+        case '/locations/nearby':
+          return await handleLocationsNearby(request, env);
+
+        case '/locations/reverse':
+          return await handleLocationsReverse(request, env);
+
+        case '/locations/suggest':
+          return await handleLocationsSuggest(request, env);
+
+        case '/admin/locations':
+          return await handleAdminLocations(request, env);
 
         default:
           return jsonResponse(
@@ -85,7 +106,11 @@ export default {
                 '/icabbi-lookup',
                 '/icabbi-booking',
                 '/callcab-lookup-master',
-                '/store'
+                '/store',
+                '/locations/nearby',
+                '/locations/reverse',
+                '/locations/suggest',
+                '/admin/locations'
               ],
             },
             404
@@ -103,6 +128,15 @@ export default {
       );
     }
   },
+
+  // Cron: fold trips booked since the last run into the search popularity prior
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      aggregatePopularity(env.CALL_MEMORIES)
+        .then(result => console.log(`[index] Popularity folded ${result.folded} trip(s), ${result.duplicates} duplicate(s)`))
+        .catch(error => console.error('[index] Popularity aggregation failed:', error))
+    );
+  },
 };
 
 function jsonResponse(data, status = 200) {
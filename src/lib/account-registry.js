@@ -3,6 +3,28 @@
 // Includes loadAccountRegistry for backward compatibility
 
 import accountsData from '../data/accounts-registry.json';
+import { parseStreetAddress, addressGaps } from './address-parser.js';
+import { getBundledDatabase } from './location-db.js';
+import { pointInPolygon } from './geometry.js';
+import {
+  lintAccountRegistry,
+  beyondLimits,
+  nearestStop,
+  distanceMiles,
+  SERVICE_AREA_ZONE
+} from './account-rules.js';
+import { windowApplies, localMoment } from './calendar-rules.js';
+import { parsePickupTime, SERVICE_TZ } from './time-parser.js';
+
+// Senior Dial-a-Ride is for riders 60 and over
+const SENIOR_AGE = 60;
+
+// Trace result for a rule whose input can't be read (not a pass, not a fail)
+const UNKNOWN = Symbol('unknown');
+
+// Aspen Country Inn sits north of Highway 82; the core is south of it
+const ACI_LAT = 39.2150;
+const ASPEN_CORE_LAT = 39.1911;
 
 export class AccountRegistry {
   constructor(registryData) {
@@ -10,171 +32,460 @@ export class AccountRegistry {
       throw new Error('[AccountRegistry] No registry data provided');
     }
     
+    // An eligibility field nothing evaluates would let every rider through
+    const problems = lintAccountRegistry(registryData);
+    if (problems.length > 0) {
+      throw new Error(`[AccountRegistry] Invalid registry: ${problems
+        .map(p => `${p.location_id || 'geography'}: ${p.message}`).join('; ')}`);
+    }
+
     this.accounts = registryData.accounts || [];
     this.version = registryData.version;
+    this.geography = registryData.geography || {};
+    this.holidays = registryData.holidays || {};
     
     console.log(`[AccountRegistry] Initialized: ${this.accounts.length} accounts, version ${this.version}`);
   }
 
-  findEligible(params) {
-    const {
-      pickup_lat,
-      pickup_lng,
-      pickup_address,
-      pickup_location_id,
-      destination_lat,
-      destination_lng,
-      destination_address,
-      destination_location_id,
-      pickup_time,
-      passenger_count = 1,
-      account_hints = []
-    } = params;
-
-    let eligible = [];
-
-    // Check geo-triggered accounts (automatic)
-    const geoAccounts = this.accounts.filter(a => a.trigger_type === 'geo_automatic');
-    for (const account of geoAccounts) {
-      if (this.checkEligibility(account, params)) {
-        eligible.push(account);
-      }
+  /**
+   * @param {Object} params - Trip (pickup_* / destination_* / pickup_time),
+   *   account_hints, customer_context and stops
+   * @param {Object} [context]
+   * @param {LocationDatabase} [context.db] - For towns and place coordinates (default: bundled)
+   * @param {string} [context.tz] - Timezone pickup times are read in (default SERVICE_TZ)
+   * @param {Date} [context.now] - Reference time for relative pickup times
+   */
+  findEligible(params, context = {}) {
+    return this.explainEligible(params, context).eligible;
+  }
+
+  /**
+   * findEligible with its working: every account considered for the trip,
+   * why it was considered (geo / hint / location), its rule trace, and the
+   * closest failure when nothing qualified. What Claire may say about each
+   * eligible account is up to the disclosure policy in account-eligibility.js.
+   * @returns {{ eligible: Array<Object>, evaluated: Array<Object>, near_miss: Object|null }}
+   */
+  explainEligible(params, context = {}) {
+    const { pickup_location_id, account_hints = [] } = params;
+    const ctx = { ...context, db: context.db || getBundledDatabase() };
+    const evaluated = [];
+    const consider = (account, trigger) => {
+      if (evaluated.find(e => e.account.id === account.id)) return;
+      evaluated.push({ account, trigger, ...this.explainEligibility(account, params, ctx) });
+    };
+
+    // Geo-triggered accounts (automatic)
+    for (const account of this.accounts.filter(a => a.trigger_type === 'geo_automatic')) {
+      consider(account, 'geo');
     }
 
-    // Check hint-triggered accounts
-    if (account_hints.length > 0) {
-      for (const hint of account_hints) {
-        const account = this.findByHint(hint);
-        if (account && !eligible.find(a => a.id === account.id)) {
-          if (this.checkEligibility(account, params)) {
-            eligible.push(account);
-          }
-        }
-      }
+    // Hint-triggered accounts (a single hint may arrive as a plain string)
+    for (const hint of [].concat(account_hints ?? []).filter(h => typeof h === 'string')) {
+      const account = this.findByHint(hint);
+      if (account) consider(account, 'hint');
     }
 
-    // Check location-triggered accounts (hotel pickups)
+    // Location-triggered accounts (hotel pickups). Do-not-volunteer hotels
+    // only when the booking is already authorized (the front desk calling)
     if (pickup_location_id) {
-      const locationAccounts = this.accounts.filter(a => 
-        a.trigger_type === 'location_optional' &&
+      const authorized = params.customer_context?.authorized === true;
+      const locationAccounts = this.accounts.filter(a =>
+        (a.trigger_type === 'location_optional' || (a.trigger_type === 'do_not_volunteer' && authorized)) &&
         a.eligibility?.pickup_location_ids?.includes(pickup_location_id)
       );
-      for (const account of locationAccounts) {
-        if (!eligible.find(a => a.id === account.id)) {
-          eligible.push(account);
-        }
-      }
+      for (const account of locationAccounts) consider(account, 'location');
     }
 
-    return eligible.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    const eligible = evaluated
+      .filter(e => e.eligible)
+      .map(e => e.account)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    return {
+      eligible,
+      evaluated,
+      near_miss: eligible.length === 0 ? this.nearMiss(evaluated) : null
+    };
+  }
+
+  /**
+   * The failed account that came closest: fewest failed rules, then highest
+   * priority, then most rules passed. Only accounts in play count: ones the
+   * caller mentioned, or geo accounts whose pickup matched (every in-town ride
+   * misses Five Trees; that isn't worth explaining). Carries the account's
+   * script for the first failed rule (`scripts.not_eligible_<rule>`, else
+   * `not_eligible_reason`).
+   */
+  nearMiss(evaluated) {
+    const inPlay = e => e.trigger !== 'geo' ||
+      e.trace.every(r => r.rule !== 'pickup' || r.result === 'pass');
+    const failed = evaluated
+      .filter(e => !e.eligible && inPlay(e))
+      .map(e => ({
+        ...e,
+        failures: e.trace.filter(r => r.result === 'fail'),
+        passes: e.trace.filter(r => r.result === 'pass').length
+      }))
+      .sort((a, b) =>
+        a.failures.length - b.failures.length ||
+        (b.account.priority || 0) - (a.account.priority || 0) ||
+        b.passes - a.passes);
+
+    const best = failed[0];
+    if (!best) return null;
+
+    const scripts = best.account.scripts || {};
+    const rule = best.failures[0]?.rule;
+    return {
+      account_id: best.account.id,
+      account_name: best.account.name,
+      trigger: best.trigger,
+      failed_rules: best.failures.map(r => r.rule),
+      reason_script: scripts[`not_eligible_${rule}`] || scripts.not_eligible_reason ||
+        `That ride isn't covered by ${best.account.name}, so it'll be a regular metered ride.`
+    };
   }
 
-  checkEligibility(account, params) {
+  checkEligibility(account, params, context = {}) {
+    return this.explainEligibility(account, params, context).eligible;
+  }
+
+  /**
+   * Every rule an account applies to this trip, with what it saw and what it
+   * wanted. All rules run (not just up to the first failure) so a trace shows
+   * everything that would have to change. A rule that can't be judged from
+   * what the caller said (an unreadable pickup_time) is 'unknown' and doesn't
+   * rule the account out.
+   * @returns {{ eligible: boolean, trace: Array<{ rule, input, expected, result: 'pass'|'fail'|'unknown' }> }}
+   */
+  explainEligibility(account, params, context = {}) {
     const { eligibility } = account;
-    if (!eligibility) return false;
+    if (!eligibility) {
+      return {
+        eligible: false,
+        trace: [{ rule: 'eligibility', input: null, expected: 'an eligibility block', result: 'fail' }]
+      };
+    }
 
-    // Check pickup zone/keywords
+    const db = context.db || getBundledDatabase();
+    const pickup = this.describeEnd(params, 'pickup', db);
+    const destination = this.describeEnd(params, 'destination', db);
+    const customer = params.customer_context || {};
+    const trace = [];
+    // pass: true / false, or UNKNOWN when the input can't be read
+    const check = (rule, input, expected, pass) =>
+      trace.push({ rule, input, expected, result: pass === UNKNOWN ? 'unknown' : pass ? 'pass' : 'fail' });
+    // Zone rules also say which signal matched (null when none did)
+    const checkArea = (rule, input, expected, match) => {
+      check(rule, input, expected, Boolean(match));
+      trace[trace.length - 1].matched_by = match;
+    };
+
+    // Pickup zone/keywords
     if (eligibility.pickup_zones || eligibility.pickup_keywords || eligibility.pickup_location_ids) {
-      const pickupMatches = this.matchesLocation(
+      checkArea('pickup', pickup, {
+        zones: eligibility.pickup_zones || null,
+        keywords: eligibility.pickup_keywords || null,
+        location_ids: eligibility.pickup_location_ids || null
+      }, this.matchesLocation(
         params.pickup_address,
         params.pickup_location_id,
         eligibility.pickup_zones,
         eligibility.pickup_keywords,
-        eligibility.pickup_location_ids
-      );
-      if (!pickupMatches) return false;
+        eligibility.pickup_location_ids,
+        pickup
+      ));
     }
 
-    // Check destination zone/keywords
+    // Destination zone/keywords
     if (eligibility.destination_zones || eligibility.destination_keywords || eligibility.destination_location_ids) {
-      const destMatches = this.matchesLocation(
+      checkArea('destination', destination, {
+        zones: eligibility.destination_zones || null,
+        keywords: eligibility.destination_keywords || null,
+        location_ids: eligibility.destination_location_ids || null
+      }, this.matchesLocation(
         params.destination_address,
         params.destination_location_id,
         eligibility.destination_zones,
         eligibility.destination_keywords,
-        eligibility.destination_location_ids
-      );
-      if (!destMatches) return false;
+        eligibility.destination_location_ids,
+        destination
+      ));
     }
 
-    // Check time windows
-    if (eligibility.time_windows && params.pickup_time) {
-      const timeOk = this.checkTimeWindow(
-        params.pickup_time,
-        params.destination_location_id || params.destination_address,
-        eligibility.time_windows
-      );
-      if (!timeOk) return false;
+    // Time windows (no pickup_time means now)
+    if (eligibility.time_windows) {
+      const destinationId = params.destination_location_id || params.destination_address;
+      const timeContext = { tz: context.tz, now: context.now, destination };
+      const tz = context.tz || SERVICE_TZ;
+      const readings = this.pickupReadings(params.pickup_time, timeContext);
+      check('time', {
+        pickup_time: params.pickup_time || 'now',
+        local: readings.map(instant => localStamp(instant, tz))
+      },
+      this.selectTimeWindow(eligibility.time_windows, destinationId, destination) || 'any time',
+      readings.length === 0
+        ? UNKNOWN
+        : this.checkTimeWindow(params.pickup_time, destinationId, eligibility.time_windows, timeContext));
     }
 
-    // Check special conditions
+    // Special conditions
     if (eligibility.must_cross_highway_82) {
-      if (!this.checkCrossesHighway82(params)) return false;
+      check('highway_82',
+        { pickup_lat: params.pickup_lat ?? null, destination_lat: params.destination_lat ?? null },
+        `one end north of ${ACI_LAT} and the other south of ${ASPEN_CORE_LAT}`,
+        this.checkCrossesHighway82(params));
     }
 
     if (eligibility.ase_transfers_only) {
-      const toAirport = this.isAirport(params.destination_location_id, params.destination_address);
-      if (!toAirport) return false;
+      check('airport',
+        params.destination_location_id || params.destination_address || null,
+        'an airport destination',
+        this.isAirport(params.destination_location_id, params.destination_address));
+    }
+
+    if (eligibility.anywhere_in_service_area) {
+      check('service_area',
+        { pickup_town: pickup.town, destination_town: destination.town },
+        'both ends in the service area',
+        this.inServiceArea(pickup) && this.inServiceArea(destination));
     }
 
-    return true;
+    if (eligibility.destination_limits) {
+      const limits = Object.values(eligibility.destination_limits);
+      const past = destination.point ? beyondLimits(destination.point, this.geography, limits) : null;
+      check('destination_limits',
+        past?.beyond
+          ? { point: destination.point, corridor: past.corridor, miles_along: past.along_miles }
+          : { point: destination.point },
+        past?.beyond
+          ? { limits: eligibility.destination_limits, max_miles_along: past.limit_miles }
+          : { limits: eligibility.destination_limits },
+        Boolean(past && !past.beyond));
+    }
+
+    // Dial-a-ride only for trips the shuttle can't do: one end off the route
+    if (eligibility.must_be_off_shuttle_route) {
+      const route = this.geography.routes[eligibility.must_be_off_shuttle_route];
+      const stopDistance = end => end.point ? nearestStop(end.point, route) : null;
+      const fromPickup = stopDistance(pickup);
+      const fromDestination = stopDistance(destination);
+      check('shuttle_route', {
+        pickup_nearest_stop: fromPickup && { name: fromPickup.stop.name, miles: fromPickup.miles },
+        destination_nearest_stop: fromDestination && { name: fromDestination.stop.name, miles: fromDestination.miles }
+      },
+      `one end more than ${route.walk_miles} mi from every ${route.name} stop`,
+      this.isOffRoute(pickup, route) || this.isOffRoute(destination, route));
+    }
+
+    if (eligibility.allows_one_stop !== undefined) {
+      const maxStops = eligibility.allows_one_stop ? 1 : 0;
+      const stops = this.countStops(params.stops);
+      check('stops', stops, `at most ${maxStops}`, stops <= maxStops);
+    }
+
+    // What the caller told Claire. Unknown isn't a no: Claire only reaches
+    // these accounts when the caller brought them up, and confirms on the call.
+    if (eligibility.requires_senior_status) {
+      check('senior',
+        { is_senior: customer.is_senior ?? null, age: customer.age ?? null },
+        `a senior (${SENIOR_AGE}+), or not stated`,
+        this.isSenior(customer));
+    }
+
+    if (eligibility.requires_voucher) {
+      check('voucher', customer.has_voucher ?? null, 'has a voucher, or not stated',
+        customer.has_voucher !== false);
+    }
+
+    if (eligibility.voucher_sources) {
+      const source = customer.voucher_source ? String(customer.voucher_source).toLowerCase() : null;
+      check('voucher_source', source, eligibility.voucher_sources,
+        !source || eligibility.voucher_sources.includes(source));
+    }
+
+    // Except front-desk billing (do_not_volunteer): a caller naming the hotel
+    // is not the hotel authorizing the charge, so that needs an explicit yes
+    if (eligibility.requires_authorization) {
+      const frontDesk = account.trigger_type === 'do_not_volunteer';
+      check('authorization', customer.authorized ?? null,
+        frontDesk ? 'authorized by the booking party' : 'authorized, or not stated',
+        frontDesk ? customer.authorized === true : customer.authorized !== false);
+    }
+
+    if (eligibility.authorization_source) {
+      check('authorization_source', customer.authorized_by ?? null, eligibility.authorization_source,
+        !customer.authorized_by || customer.authorized_by === eligibility.authorization_source);
+    }
+
+    return { eligible: trace.every(r => r.result !== 'fail'), trace };
   }
 
-  matchesLocation(address, location_id, zones, keywords, location_ids) {
+  /**
+   * Is one end of the trip in an account's area, and by which signal?
+   * Ids first, then the end's coordinates against each zone, then address keywords.
+   * @param {Object} [end] - describeEnd() result, for coordinate matching
+   * @returns {{ signal: 'location_id'|'polygon'|'town'|'place'|'service_area'|'keyword'|'unrestricted',
+   *   zone?: string, location_id?: string, keyword?: string }|null}
+   */
+  matchesLocation(address, location_id, zones, keywords, location_ids, end = null) {
     if (location_id) {
-      if (location_ids && location_ids.includes(location_id)) return true;
-      if (zones && zones.includes(location_id)) return true;
+      if (location_ids && location_ids.includes(location_id)) return { signal: 'location_id', location_id };
+      if (zones && zones.includes(location_id)) return { signal: 'location_id', zone: location_id };
+    }
+
+    for (const zone of (end && zones) || []) {
+      const signal = this.zoneMatches(zone, end);
+      if (signal) return { signal, zone };
     }
 
     if (keywords && address) {
       const lowerAddress = address.toLowerCase();
-      if (keywords.some(kw => lowerAddress.includes(kw.toLowerCase()))) {
-        return true;
-      }
+      const keyword = keywords.find(kw => lowerAddress.includes(kw.toLowerCase()));
+      if (keyword) return { signal: 'keyword', keyword };
     }
 
-    if (!zones && !keywords && !location_ids) return true;
+    if (!zones && !keywords && !location_ids) return { signal: 'unrestricted' };
 
-    return false;
+    return null;
   }
 
-  checkTimeWindow(pickup_time, destination_identifier, time_windows) {
-    let window = time_windows.default;
-    
-    if (destination_identifier) {
-      for (const [key, value] of Object.entries(time_windows)) {
-        if (key !== 'default' && destination_identifier.toLowerCase().includes(key.toLowerCase())) {
-          window = value;
-          break;
-        }
+  // Address, location id, coordinates and town of one end of the trip.
+  // A known location stands in for missing coordinates.
+  describeEnd(params, end, db) {
+    const location_id = params[`${end}_location_id`] || null;
+    const lat = parseFloat(params[`${end}_lat`]);
+    const lng = parseFloat(params[`${end}_lng`]);
+    const point = !Number.isNaN(lat) && !Number.isNaN(lng)
+      ? { lat, lng }
+      : (location_id && db?.findById(location_id)?.coordinates) || null;
+
+    return {
+      address: params[`${end}_address`] || null,
+      location_id,
+      point,
+      town: point && db ? db.detectCallerTown(point.lat, point.lng)?.key || null : null
+    };
+  }
+
+  // How an end of the trip is in a zone, or null: its location id, the zone's
+  // polygon (geography.zones), an alias, a dataset town, a place with a
+  // radius, or the whole service area
+  zoneMatches(zone, end) {
+    if (end.location_id === zone) return 'location_id';
+
+    const boundary = this.geography.zones?.[zone]?.boundary;
+    if (boundary && end.point && pointInPolygon(end.point.lat, end.point.lng, boundary)) return 'polygon';
+
+    const aliases = this.geography.zone_aliases?.[zone];
+    if (aliases) {
+      for (const alias of aliases) {
+        const signal = this.zoneMatches(alias, end);
+        if (signal) return signal;
       }
+      return null;
     }
 
+    if (zone === SERVICE_AREA_ZONE) return this.inServiceArea(end) ? 'service_area' : null;
+    if (end.town && end.town === zone) return 'town';
+
+    const place = this.geography.places?.[zone];
+    const inPlace = place?.radius_miles && end.point &&
+      distanceMiles(end.point.lat, end.point.lng, place.lat, place.lng) <= place.radius_miles;
+    return inPlace ? 'place' : null;
+  }
+
+  // Inside a dataset town, or at a served place outside them (Redstone)
+  inServiceArea(end) {
+    if (end.town) return true;
+    return Object.entries(this.geography.places || {}).some(([key, place]) =>
+      place.radius_miles && this.zoneMatches(key, end));
+  }
+
+  isOffRoute(end, route) {
+    if (!end.point) return false;
+    const nearest = nearestStop(end.point, route);
+    return !nearest || nearest.miles > route.walk_miles;
+  }
+
+  countStops(stops) {
+    if (Array.isArray(stops)) return stops.length;
+    return parseInt(stops, 10) || 0;
+  }
+
+  isSenior(customer) {
+    if (customer.age !== undefined && customer.age !== null) {
+      return Number(customer.age) >= SENIOR_AGE;
+    }
+    return customer.is_senior !== false;
+  }
+
+  /**
+   * Is the pickup inside the account's window for this destination?
+   * A window (or list of windows, any of which may match) is a calendar-rules
+   * window: start / end (an end before the start runs past midnight), days,
+   * dates for a season, and except for holidays (ranges or names from the
+   * registry's `holidays`). Read in the service timezone.
+   * @param {string} pickup_time - Anything parsePickupTime reads; default now
+   * @param {string} destination_identifier - Destination location id or address
+   * @param {Object} time_windows - { default, <destination key>: window | [windows] }
+   * @param {Object} [context] - { tz, now, destination: describeEnd() result }
+   */
+  checkTimeWindow(pickup_time, destination_identifier, time_windows, context = {}) {
+    const window = this.selectTimeWindow(time_windows, destination_identifier, context.destination);
     if (!window) return true;
 
-    const time = this.parseTime(pickup_time);
-    if (!time) return true;
+    // A time Claire can't read is confirmed on the call, not held against
+    // the rider; neither is the reading she'll ask about ("10:00" am or pm)
+    const readings = this.pickupReadings(pickup_time, context);
+    if (readings.length === 0) return true;
 
-    const start = this.parseTime(window.start);
-    const end = this.parseTime(window.end);
-    if (!start || !end) return true;
+    const tz = context.tz || SERVICE_TZ;
+    const windows = [].concat(window).map(w => this.resolveHolidays(w));
+    return readings.some(instant => windows.some(w => windowApplies(w, instant, tz)));
+  }
 
-    if (end === '00:00') {
-      return time >= start;
+  // Destination-specific window (key in the identifier, or a zone the
+  // destination is in), else the default
+  selectTimeWindow(time_windows, destination_identifier, destination = null) {
+    for (const [key, value] of Object.entries(time_windows)) {
+      if (key === 'default') continue;
+      if (destination_identifier && destination_identifier.toLowerCase().includes(key.toLowerCase())) {
+        return value;
+      }
+      if (destination && this.zoneMatches(key, destination)) return value;
     }
+    return time_windows.default || null;
+  }
 
-    return time >= start && time <= end;
+  // Holiday names in `except` -> their date ranges
+  resolveHolidays(window) {
+    if (!window.except) return window;
+    const except = [].concat(window.except).flatMap(entry =>
+      typeof entry === 'string' ? [].concat(this.holidays[entry]) : [entry]);
+    return { ...window, except };
+  }
+
+  /**
+   * Pickup time read in the service timezone ("now", "6:30 pm", "tomorrow 8am",
+   * ISO): the best reading first, then the alternatives of an ambiguous one.
+   * Empty when unreadable.
+   * @returns {Array<Date>}
+   */
+  pickupReadings(pickup_time, { tz = SERVICE_TZ, now = new Date() } = {}) {
+    if (!pickup_time) return [now];
+    const parsed = parsePickupTime(pickup_time, { tz, now });
+    if (!parsed.ok) return [];
+    return [parsed.iso, ...(parsed.alternatives || []).map(a => a.iso)].map(iso => new Date(iso));
   }
 
   checkCrossesHighway82(params) {
-    const aciLat = 39.2150;
-    const aspenCoreLat = 39.1911;
-    
     if (!params.pickup_lat || !params.destination_lat) return false;
     
     return (
-      (params.pickup_lat > aciLat && params.destination_lat < aspenCoreLat) ||
-      (params.pickup_lat < aspenCoreLat && params.destination_lat > aciLat)
+      (params.pickup_lat > ACI_LAT && params.destination_lat < ASPEN_CORE_LAT) ||
+      (params.pickup_lat < ASPEN_CORE_LAT && params.destination_lat > ACI_LAT)
     );
   }
 
@@ -190,6 +501,52 @@ export class AccountRegistry {
     return false;
   }
 
+  // Property accounts bill to a specific rental, so the booking needs the
+  // exact address (and unit) before it goes to dispatch
+  getAddressRequirements(account) {
+    const elig = account?.eligibility || {};
+    if (!elig.requires_exact_address && !elig.requires_unit_number) return null;
+
+    return {
+      requires_exact_address: Boolean(elig.requires_exact_address),
+      requires_unit_number: Boolean(elig.requires_unit_number)
+    };
+  }
+
+  checkAddressRequirements(account, { pickup_address, destination_address } = {}) {
+    const requirements = this.getAddressRequirements(account);
+    if (!requirements) return null;
+
+    // The rental is whichever end of the trip is a street address
+    const candidates = [pickup_address, destination_address]
+      .filter(Boolean)
+      .map(text => parseStreetAddress(text));
+    const address = candidates.find(a => a.is_street_address && a.unit) ||
+                    candidates.find(a => a.is_street_address) ||
+                    null;
+
+    return {
+      ...requirements,
+      address,
+      ...addressGaps(address, requirements)
+    };
+  }
+
+  // Vouchers billed by passenger name (Signature Properties) need the full
+  // name before the booking goes to dispatch
+  checkPassengerName(account, { passenger_name } = {}) {
+    if (!account?.eligibility?.requires_legible_passenger_name) return null;
+
+    const name = typeof passenger_name === 'string' ? passenger_name.trim() : '';
+    const missing = name.split(/\s+/).filter(Boolean).length < 2;
+    return {
+      requires_legible_passenger_name: true,
+      passenger_name: missing ? null : name,
+      passenger_name_missing: missing,
+      claire_prompt: missing ? "Can I get the passenger's first and last name?" : null
+    };
+  }
+
   findByHint(hint) {
     const lowerHint = hint.toLowerCase();
     
@@ -226,35 +583,17 @@ export class AccountRegistry {
     };
   }
 
-  parseTime(timeString) {
+  // Local "HH:MM" of a pickup time, or null
+  parseTime(timeString, tz = SERVICE_TZ) {
     if (!timeString) return null;
-    
-    if (timeString.toLowerCase() === 'now') {
-      const now = new Date();
-      return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    }
-    
-    const match = timeString.match(/(\d{1,2}):(\d{2})/);
-    if (match) {
-      return `${match[1].padStart(2, '0')}:${match[2]}`;
-    }
-    
-    const hourMatch = timeString.match(/(\d{1,2})\s*(am|pm)?/i);
-    if (hourMatch) {
-      let hour = parseInt(hourMatch[1]);
-      const meridiem = hourMatch[2]?.toLowerCase();
-      
-      if (meridiem === 'pm' && hour < 12) hour += 12;
-      if (meridiem === 'am' && hour === 12) hour = 0;
-      
-      return `${String(hour).padStart(2, '0')}:00`;
-    }
-    
-    return null;
+    const [instant] = this.pickupReadings(timeString, { tz });
+    if (!instant) return null;
+    const { minutes } = localMoment(instant, tz);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
   }
 
   formatResponse(account, params = {}) {
-    if (!account || account.type === 'REGULAR_METERED') {
+    if (!account || account.type === 'REGULAR_METERED' || account.account_type === 'REGULAR_METERED') {
       return this.getDefault();
     }
 
@@ -324,5 +663,12 @@ export function checkAccountEligibility(params) {
   return registry.formatResponse(eligible[0], params);
 }
 
+// "2026-10-19 22:00" in the service timezone
+function localStamp(instant, tz) {
+  const { date, minutes } = localMoment(instant, tz);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
 // Default export is the class
 export default AccountRegistry;
\ No newline at end of file
@@ -0,0 +1,265 @@
+// src/lib/account-rules.js
+// CLAIRE v4.2 - What an account's eligibility block may say, and the geography
+// the rules measure against (registry `geography`: zone polygons, places,
+// zone aliases, corridors and shuttle routes).
+// Plain functions over parsed registry data, so combine.js can check the
+// registry at build time and AccountRegistry can refuse to load a bad one.
+//
+// Problems use the same shape as location-lint.js:
+//   { severity: 'error' | 'warning', code, file, location_id, path, message }
+
+import { parseClockTime } from './calendar-rules.js';
+import { validatePolygon } from './geometry.js';
+
+// Fields checkEligibility evaluates
+export const ELIGIBILITY_FIELDS = [
+  'pickup_zones', 'pickup_keywords', 'pickup_location_ids',
+  'destination_zones', 'destination_keywords', 'destination_location_ids',
+  'time_windows',
+  'must_cross_highway_82',
+  'ase_transfers_only',
+  'requires_senior_status',
+  'requires_voucher', 'voucher_sources',
+  'requires_authorization', 'authorization_source',
+  'must_be_off_shuttle_route',
+  'destination_limits',
+  'allows_one_stop',
+  'anywhere_in_service_area'
+];
+
+// Fields that shape the booking rather than who qualifies: hint matching
+// (keywords) and what the address must contain (checkAddressRequirements)
+export const BOOKING_FIELDS = [
+  'keywords',
+  'requires_exact_address',
+  'requires_unit_number',
+  'requires_legible_passenger_name'
+];
+
+// How an account comes up on a call (see the disclosure policy in account-eligibility.js)
+export const TRIGGER_TYPES = ['geo_automatic', 'customer_mention', 'location_optional', 'do_not_volunteer'];
+
+// Zone matching every town in the location dataset
+export const SERVICE_AREA_ZONE = 'service-area';
+
+// How far from a corridor a point can be and still be "on" it (the valley floor)
+export const CORRIDOR_SNAP_MILES = 3;
+
+// Slack past a limit place that has no radius of its own
+const LIMIT_TOLERANCE_MILES = 1;
+
+// What a time window may say (see calendar-rules.js)
+const WINDOW_FIELDS = ['start', 'end', 'days', 'dates', 'except'];
+
+const REGISTRY_FILE = 'accounts-registry.json';
+const MILES_PER_DEGREE = 69.05;
+
+/**
+ * Problems in an accounts registry: eligibility fields nobody evaluates,
+ * unknown trigger types, malformed time windows or zone polygons, and rules
+ * pointing at routes, places or holidays the registry doesn't define.
+ * @param {Object} registry - Parsed accounts-registry.json
+ * @returns {Array<Object>}
+ */
+export function lintAccountRegistry(registry) {
+  const problems = [];
+  const report = (code, accountId, path, message) =>
+    problems.push({ severity: 'error', code, file: REGISTRY_FILE, location_id: accountId, path, message });
+
+  const geography = registry?.geography || {};
+  const places = geography.places || {};
+  const known = new Set([...ELIGIBILITY_FIELDS, ...BOOKING_FIELDS]);
+
+  for (const [name, zone] of Object.entries(geography.zones || {})) {
+    for (const error of validatePolygon(zone.boundary)) {
+      report('INVALID_ZONE_BOUNDARY', null, `$.geography.zones.${name}.boundary`, `zone "${name}" boundary ${error}`);
+    }
+  }
+
+  for (const [name, corridor] of Object.entries(geography.corridors || {})) {
+    for (const key of corridor.waypoints || []) {
+      if (!places[key]) {
+        report('UNKNOWN_PLACE', null, `$.geography.corridors.${name}`,
+          `corridor "${name}" passes through "${key}", which is not in geography.places`);
+      }
+    }
+  }
+
+  (registry?.accounts || []).forEach((account, index) => {
+    const elig = account.eligibility || {};
+    const path = `$.accounts[${index}].eligibility`;
+
+    if (!TRIGGER_TYPES.includes(account.trigger_type)) {
+      report('UNKNOWN_TRIGGER_TYPE', account.id, `$.accounts[${index}].trigger_type`,
+        `${account.name} has trigger_type "${account.trigger_type}", expected one of ${TRIGGER_TYPES.join(', ')}`);
+    }
+
+    for (const field of Object.keys(elig)) {
+      if (!known.has(field)) {
+        report('UNKNOWN_ELIGIBILITY_FIELD', account.id, `${path}.${field}`,
+          `${account.name} uses eligibility field "${field}", which the registry does not evaluate`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(elig.time_windows || {})) {
+      for (const window of [].concat(value)) {
+        const where = `${path}.time_windows.${key}`;
+        for (const field of Object.keys(window || {})) {
+          if (!WINDOW_FIELDS.includes(field)) {
+            report('UNKNOWN_WINDOW_FIELD', account.id, where, `time window "${key}" has unknown field "${field}"`);
+          }
+        }
+        for (const field of ['start', 'end']) {
+          if (window?.[field] !== undefined && parseClockTime(window[field]) === null) {
+            report('INVALID_CLOCK', account.id, where, `time window "${key}" ${field} "${window[field]}" is not HH:MM`);
+          }
+        }
+        for (const name of [].concat(window?.except || []).filter(entry => typeof entry === 'string')) {
+          if (!registry.holidays?.[name]) {
+            report('UNKNOWN_HOLIDAY', account.id, where, `time window "${key}" excepts "${name}", which is not in holidays`);
+          }
+        }
+      }
+    }
+
+    const route = elig.must_be_off_shuttle_route;
+    if (route !== undefined && !geography.routes?.[route]) {
+      report('UNKNOWN_ROUTE', account.id, `${path}.must_be_off_shuttle_route`,
+        `must_be_off_shuttle_route names "${route}", which is not in geography.routes`);
+    }
+
+    for (const [label, key] of Object.entries(elig.destination_limits || {})) {
+      if (corridorsThrough(geography, key).length === 0) {
+        report('UNKNOWN_LIMIT', account.id, `${path}.destination_limits.${label}`,
+          `destination limit "${key}" is not a waypoint on any geography corridor`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Corridors (by name) with `key` as a waypoint
+ */
+export function corridorsThrough(geography, key) {
+  return Object.entries(geography?.corridors || {})
+    .filter(([, corridor]) => (corridor.waypoints || []).includes(key))
+    .map(([name]) => name);
+}
+
+/**
+ * Where a point sits along a corridor, in miles from its first waypoint.
+ * Null when the point is more than CORRIDOR_SNAP_MILES from the corridor.
+ * @param {{lat, lng}} point
+ * @param {Object} corridor - { waypoints: [place keys, outward] }
+ * @param {Object} places - geography.places
+ * @returns {{ along_miles: number, off_miles: number }|null}
+ */
+export function corridorPosition(point, corridor, places) {
+  const stops = (corridor.waypoints || []).map(key => places[key]).filter(Boolean);
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < stops.length - 1; i++) {
+    // Flat projection around the segment start; fine at valley scale
+    const a = stops[i];
+    const b = stops[i + 1];
+    const scale = Math.cos(a.lat * Math.PI / 180);
+    const bx = (b.lng - a.lng) * scale * MILES_PER_DEGREE;
+    const by = (b.lat - a.lat) * MILES_PER_DEGREE;
+    const px = (point.lng - a.lng) * scale * MILES_PER_DEGREE;
+    const py = (point.lat - a.lat) * MILES_PER_DEGREE;
+    const length = Math.hypot(bx, by);
+    const t = length > 0 ? Math.min(1, Math.max(0, (px * bx + py * by) / (length * length))) : 0;
+    const off = Math.hypot(px - t * bx, py - t * by);
+
+    if (!best || off < best.off_miles) {
+      best = { along_miles: travelled + t * length, off_miles: off };
+    }
+    travelled += length;
+  }
+
+  return best && best.off_miles <= CORRIDOR_SNAP_MILES ? best : null;
+}
+
+/**
+ * Miles along a corridor to one of its waypoints
+ */
+export function waypointMiles(corridor, places, key) {
+  const waypoints = corridor.waypoints || [];
+  const index = waypoints.indexOf(key);
+  if (index < 0) return null;
+
+  let miles = 0;
+  for (let i = 0; i < index; i++) {
+    const a = places[waypoints[i]];
+    const b = places[waypoints[i + 1]];
+    const scale = Math.cos(a.lat * Math.PI / 180);
+    miles += Math.hypot((b.lng - a.lng) * scale * MILES_PER_DEGREE, (b.lat - a.lat) * MILES_PER_DEGREE);
+  }
+  return miles;
+}
+
+/**
+ * Whether a destination is past an account's limits. Each limit place caps
+ * the corridors through it; with several on one corridor (Woody Creek and
+ * Aspen Village on Highway 82) the farthest one counts.
+ * @param {{lat, lng}} point
+ * @param {Object} geography
+ * @param {Array<string>} limits - Place keys (destination_limits values)
+ * @returns {{ beyond: boolean, corridor?, limit?, along_miles?, limit_miles? }}
+ */
+export function beyondLimits(point, geography, limits) {
+  const places = geography?.places || {};
+  const caps = new Map();
+
+  for (const key of limits) {
+    for (const name of corridorsThrough(geography, key)) {
+      const miles = waypointMiles(geography.corridors[name], places, key) +
+        (places[key].radius_miles ?? LIMIT_TOLERANCE_MILES);
+      if (!caps.has(name) || miles > caps.get(name).miles) caps.set(name, { key, miles });
+    }
+  }
+
+  for (const [name, cap] of caps) {
+    const position = corridorPosition(point, geography.corridors[name], places);
+    if (position && position.along_miles > cap.miles) {
+      return {
+        beyond: true,
+        corridor: name,
+        limit: cap.key,
+        along_miles: round(position.along_miles),
+        limit_miles: round(cap.miles)
+      };
+    }
+  }
+  return { beyond: false };
+}
+
+/**
+ * Closest stop of a shuttle route to a point
+ * @returns {{ stop: Object, miles: number }|null}
+ */
+export function nearestStop(point, route) {
+  let best = null;
+  for (const stop of route?.stops || []) {
+    const miles = distanceMiles(point.lat, point.lng, stop.lat, stop.lng);
+    if (!best || miles < best.miles) best = { stop, miles: round(miles) };
+  }
+  return best;
+}
+
+export function distanceMiles(lat1, lng1, lat2, lng2) {
+  const R = 3958.8;
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
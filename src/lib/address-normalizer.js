@@ -0,0 +1,177 @@
+// src/lib/address-normalizer.js
+// CLAIRE v4.2 - Speech-to-text query normalization
+// "three oh three east main street" -> "303 E Main St", matching how
+// addresses are written in the location files.
+
+const UNITS = {
+  zero: 0, oh: 0, o: 0, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9
+};
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const ORDINALS = {
+  first: '1st', second: '2nd', third: '3rd', fourth: '4th', fifth: '5th',
+  sixth: '6th', seventh: '7th', eighth: '8th', ninth: '9th', tenth: '10th',
+  eleventh: '11th', twelfth: '12th', thirteenth: '13th', fourteenth: '14th',
+  fifteenth: '15th', sixteenth: '16th', seventeenth: '17th', eighteenth: '18th',
+  nineteenth: '19th', twentieth: '20th'
+};
+
+// USPS abbreviations, as used in the location files
+const STREET_SUFFIXES = {
+  street: 'St', st: 'St', avenue: 'Ave', ave: 'Ave', av: 'Ave',
+  road: 'Rd', rd: 'Rd', drive: 'Dr', dr: 'Dr', lane: 'Ln', ln: 'Ln',
+  boulevard: 'Blvd', blvd: 'Blvd', place: 'Pl', pl: 'Pl', court: 'Ct', ct: 'Ct',
+  circle: 'Cir', cir: 'Cir', parkway: 'Pkwy', pkwy: 'Pkwy', highway: 'Hwy', hwy: 'Hwy',
+  trail: 'Trl', trl: 'Trl', terrace: 'Ter', ter: 'Ter'
+};
+const DIRECTIONS = {
+  east: 'E', e: 'E', west: 'W', w: 'W', north: 'N', n: 'N', south: 'S', s: 'S'
+};
+
+export const isNumberWord = word => word in UNITS || word in TEENS || word in TENS ||
+  word === 'hundred' || word === 'thousand';
+
+/**
+ * Turn a run of spoken number words into digits.
+ * Groups are concatenated the way house numbers are read out:
+ * "three oh three" -> 303, "one twenty five" -> 125,
+ * "six hundred twelve" -> 612, "thirty eight seven hundred" -> 38700.
+ * Hundreds after a round thousand add to it instead:
+ * "three thousand one hundred five" -> 3105
+ */
+export function numberRunToDigits(words) {
+  const groups = [];
+  // Index of a group like 3000 that the following hundreds belong to
+  let openThousand = -1;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+
+    if (word === 'hundred' || word === 'thousand') {
+      const multiplier = word === 'hundred' ? 100 : 1000;
+      const base = groups.length && groups.length - 1 !== openThousand ? groups.pop() : 1;
+      let value = base * multiplier;
+
+      // "six hundred (and) twelve"
+      let j = i + 1;
+      if (words[j] === 'and') j++;
+      if (words[j] in TEENS) {
+        value += TEENS[words[j]];
+        i = j;
+      } else if (words[j] in TENS) {
+        value += TENS[words[j]];
+        i = j;
+        if (words[j + 1] in UNITS && UNITS[words[j + 1]] > 0) {
+          value += UNITS[words[j + 1]];
+          i = j + 1;
+        }
+      } else if (words[j] in UNITS && UNITS[words[j]] > 0 && words[j + 1] !== 'hundred' && words[j + 1] !== 'thousand') {
+        value += UNITS[words[j]];
+        i = j;
+      }
+
+      if (word === 'hundred' && openThousand >= 0 && openThousand === groups.length - 1) {
+        groups[openThousand] += value;
+        openThousand = -1;
+      } else {
+        groups.push(value);
+        openThousand = word === 'thousand' && value % 1000 === 0 ? groups.length - 1 : -1;
+      }
+      continue;
+    }
+
+    // "one" in "three thousand one hundred" still belongs to the thousand
+    if (words[i + 1] !== 'hundred') openThousand = -1;
+
+    if (word in TENS) {
+      let value = TENS[word];
+      if (words[i + 1] in UNITS && UNITS[words[i + 1]] > 0) {
+        value += UNITS[words[i + 1]];
+        i++;
+      }
+      groups.push(value);
+      continue;
+    }
+
+    groups.push(word in TEENS ? TEENS[word] : UNITS[word]);
+  }
+
+  return groups.map(String).join('');
+}
+
+/**
+ * Normalize a spoken location query.
+ * Returns { query, changed, is_address } where is_address means the
+ * query starts with a house number.
+ */
+export function normalizeSpokenQuery(text) {
+  const original = String(text || '').trim();
+  const words = original
+    .toLowerCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/(\d)-(\d)/g, '$1$2')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Pass 1: numbers and ordinals
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+
+    if (word in ORDINALS) {
+      tokens.push(ORDINALS[word]);
+      continue;
+    }
+
+    // "oh"/"o" only count as zero inside a number ("three oh three")
+    const startsRun = isNumberWord(word) && word !== 'oh' && word !== 'o' &&
+      !(word === 'hundred' || word === 'thousand');
+    if (!startsRun) {
+      tokens.push(word);
+      continue;
+    }
+
+    const run = [word];
+    while (i + 1 < words.length) {
+      const next = words[i + 1];
+      const joinsRun = isNumberWord(next) ||
+        (next === 'and' && (words[i] === 'hundred' || words[i] === 'thousand') && isNumberWord(words[i + 2] || ''));
+      if (!joinsRun) break;
+      run.push(next);
+      i++;
+    }
+    tokens.push(numberRunToDigits(run));
+  }
+
+  // Pass 2: direction and street suffix, only for street addresses
+  const isAddress = /^\d+[a-z]?$/.test(tokens[0] || '') && tokens.length > 1;
+  if (isAddress) {
+    if (tokens[1] in DIRECTIONS && tokens.length > 2) {
+      tokens[1] = DIRECTIONS[tokens[1]];
+    }
+    for (let i = 2; i < tokens.length; i++) {
+      if (tokens[i] in STREET_SUFFIXES) {
+        tokens[i] = STREET_SUFFIXES[tokens[i]];
+        break;
+      }
+    }
+  }
+
+  const query = isAddress
+    ? tokens.map(token => /^[a-z]/.test(token) ? token[0].toUpperCase() + token.slice(1) : token).join(' ')
+    : tokens.join(' ');
+  const changed = query.toLowerCase() !== original.toLowerCase().replace(/\s+/g, ' ');
+
+  return {
+    query: changed ? query : original,
+    changed,
+    is_address: isAddress
+  };
+}
@@ -0,0 +1,179 @@
+// src/lib/address-parser.js
+// CLAIRE v4.2 - Structured street addresses (house number, street, unit, town)
+// Property accounts (Frias, Signature) need the exact rental address and unit,
+// so free text and Google results are broken into fields we can check.
+
+import { isNumberWord, numberRunToDigits } from './address-normalizer.js';
+
+// "Unit 4B", "apt 12", "#204", "suite 3", "condo 7", "unit 4 b", "bldg C".
+// The unit has a digit or is a single letter, so "condo association",
+// "parking lot near" and "suite upgrade" are not units.
+const UNIT_WORDS = /^(?:apt|apartment|unit|suite|ste|condo|room|rm|bldg|building|lot)\.?$/i;
+const UNIT_PATTERN = /(?:^|[\s,])(?:#\s*|(?:apt|apartment|unit|suite|ste|condo|room|rm|bldg|building|lot)\.?\s*#?\s*)(\d+\s[a-z]|[a-z]?\d+[a-z]?(?:-[a-z0-9]+)?|[a-z](?:-\d+)?)(?![a-z0-9])/i;
+const STATE_PATTERN = /^(?:co|colorado)(?:\s+(\d{5})(?:-\d{4})?)?$/i;
+const ZIP_PATTERN = /^(\d{5})(?:-\d{4})?$/;
+const COUNTRY_PATTERN = /^(?:usa|us|united states)$/i;
+
+/**
+ * Parse a free-text address.
+ * @param {string} text - "303 E Main St Unit 4, Aspen, CO 81611", "303 E Main St #4 Aspen"
+ * @param {Object} [options]
+ * @param {string[]} [options.towns] - Known town names, used to split a trailing town off the street
+ * @returns {{ house_number, street, unit, town, state, postal_code, is_street_address, formatted }}
+ */
+export function parseStreetAddress(text, { towns = [] } = {}) {
+  const result = {
+    house_number: null,
+    street: null,
+    unit: null,
+    town: null,
+    state: null,
+    postal_code: null,
+    is_street_address: false,
+    formatted: null
+  };
+
+  let remaining = spokenUnitNumbers(String(text || '').trim());
+  if (!remaining) return result;
+
+  const unitMatch = remaining.match(UNIT_PATTERN);
+  if (unitMatch) {
+    result.unit = unitMatch[1].replace(/\s+/g, '').toUpperCase();
+    remaining = (remaining.slice(0, unitMatch.index) + ' ' + remaining.slice(unitMatch.index + unitMatch[0].length))
+      .replace(/\s+,/g, ',')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  const parts = remaining.split(',').map(p => p.trim()).filter(Boolean);
+  let streetLine = parts.shift() || '';
+
+  // Trailing parts: town, "CO 81611", zip, country
+  for (const part of parts) {
+    const state = part.match(STATE_PATTERN);
+    if (state) {
+      result.state = 'CO';
+      if (state[1]) result.postal_code = state[1];
+    } else if (ZIP_PATTERN.test(part)) {
+      result.postal_code = part.match(ZIP_PATTERN)[1];
+    } else if (!COUNTRY_PATTERN.test(part) && !result.town) {
+      result.town = part;
+    }
+  }
+
+  // "303 E Main St Aspen" - town spoken without a comma
+  if (!result.town) {
+    const lowerLine = streetLine.toLowerCase();
+    const town = [...towns]
+      .sort((a, b) => b.length - a.length)
+      .find(name => lowerLine.endsWith(' ' + name.toLowerCase()));
+    if (town) {
+      result.town = town;
+      streetLine = streetLine.slice(0, streetLine.length - town.length).trim();
+    }
+  }
+
+  const numbered = streetLine.match(/^(\d+[a-z]?)(?:-\d+)?\s+(.+)$/i);
+  if (numbered) {
+    result.house_number = numbered[1].toUpperCase();
+    result.street = numbered[2].trim();
+  } else if (streetLine) {
+    result.street = streetLine;
+  }
+
+  return finish(result);
+}
+
+// "unit four b" -> "unit 4 b": spoken numbers right after a unit word become digits
+function spokenUnitNumbers(text) {
+  const words = text.split(/\s+/);
+  for (let i = 0; i < words.length - 1; i++) {
+    if (!UNIT_WORDS.test(words[i])) continue;
+
+    let end = i + 1;
+    let tail = '';
+    while (end < words.length) {
+      const [, word, punctuation] = words[end].toLowerCase().match(/^(.*?)([,.]*)$/);
+      if (!isNumberWord(word) || (end === i + 1 && (word === 'oh' || word === 'o'))) break;
+      end++;
+      tail = punctuation;
+      if (punctuation) break;
+    }
+
+    if (end > i + 1) {
+      const run = words.slice(i + 1, end).map(w => w.toLowerCase().replace(/[,.]+$/, ''));
+      words.splice(i + 1, end - i - 1, numberRunToDigits(run) + tail);
+    }
+  }
+  return words.join(' ');
+}
+
+/**
+ * Structured address from a geocodeAddress() result.
+ * Prefers Google's address_components and falls back to parsing formatted_address.
+ */
+export function parseGoogleAddress(geocoded, options = {}) {
+  if (!geocoded) return null;
+
+  const components = geocoded.address_components;
+  if (!Array.isArray(components) || components.length === 0) {
+    return parseStreetAddress(geocoded.formatted_address, options);
+  }
+
+  const find = type => components.find(c => c.types?.includes(type)) || null;
+
+  return finish({
+    house_number: find('street_number')?.long_name || null,
+    street: find('route')?.short_name || null,
+    unit: find('subpremise')?.long_name?.toUpperCase() || null,
+    town: find('locality')?.long_name || find('sublocality')?.long_name || null,
+    state: find('administrative_area_level_1')?.short_name || null,
+    postal_code: find('postal_code')?.long_name || null,
+    is_street_address: false,
+    formatted: null
+  });
+}
+
+/**
+ * Copy of a parsed address with the unit the caller gave
+ * (location files and Google usually stop at the building)
+ */
+export function withUnit(address, unit) {
+  if (!address || !unit || address.unit) return address;
+  return finish({ ...address, unit });
+}
+
+/**
+ * What is still missing for an account or building that needs an exact address / unit.
+ * Returns { exact_address_missing, unit_missing, claire_prompt }.
+ */
+export function addressGaps(address, { requires_exact_address = false, requires_unit_number = false } = {}) {
+  const exactMissing = requires_exact_address && !address?.is_street_address;
+  const unitMissing = requires_unit_number && !address?.unit;
+
+  let prompt = null;
+  if (exactMissing && unitMissing) {
+    prompt = "What's the exact street address, including the unit number?";
+  } else if (exactMissing) {
+    prompt = "What's the exact street address there?";
+  } else if (unitMissing) {
+    prompt = 'And what unit number is that?';
+  }
+
+  return {
+    exact_address_missing: exactMissing,
+    unit_missing: unitMissing,
+    claire_prompt: prompt
+  };
+}
+
+function finish(result) {
+  result.is_street_address = Boolean(result.house_number && result.street);
+  if (result.street) {
+    result.formatted = [
+      [result.house_number, result.street].filter(Boolean).join(' ') + (result.unit ? ` #${result.unit}` : ''),
+      result.town
+    ].filter(Boolean).join(', ');
+  }
+  return result;
+}
@@ -0,0 +1,286 @@
+// src/lib/calendar-rules.js
+// CLAIRE v4.2 - Recurring calendar windows in the service timezone
+// Used for seasonal road closures, opening hours and account time windows.
+//
+// A window is any combination of:
+//   dates: { from: 'MM-DD', to: 'MM-DD' }  inclusive, recurring yearly, may wrap New Year
+//          ('YYYY-MM-DD' for a one-off range); or an array of such ranges
+//   days:  ['mon', 'tue', ...] or 'weekdays' / 'weekends' / 'daily'
+//   start / end: 'HH:MM' local time; end <= start runs past midnight
+//          (the part after midnight belongs to the day it started on)
+//   except: dates (same shape as `dates`) the window is off, e.g. holidays;
+//          checked against the day the occurrence started on
+// Missing parts don't restrict: { start: '08:00', end: '17:00' } is every day.
+//
+// Opening hours are a weekly list of { days, open, close } periods plus
+// seasonal overrides ({ dates, weekly } or { dates, closed: true }).
+
+import { SERVICE_TZ, localParts, zonedISO } from './time-parser.js';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_GROUPS = {
+  daily: DAY_KEYS,
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun']
+};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Local calendar facts for an instant
+ * @returns {{ year, month, day, weekday, minutes, date: 'YYYY-MM-DD', md: 'MM-DD' }}
+ */
+export function localMoment(instant = new Date(), tz = SERVICE_TZ) {
+  const p = localParts(tz, instant);
+  return toMoment(p.year, p.month, p.day, p.hour * 60 + p.minute);
+}
+
+/**
+ * 'HH:MM' -> minutes after midnight ('24:00' -> 1440), or null
+ */
+export function parseClockTime(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? '').trim());
+  if (!m) return null;
+  const minutes = +m[1] * 60 + +m[2];
+  return +m[2] < 60 && minutes <= 1440 ? minutes : null;
+}
+
+/**
+ * Is the instant inside the window?
+ */
+export function windowApplies(window, instant = new Date(), tz = SERVICE_TZ) {
+  return windowAnchor(window, localMoment(instant, tz)) !== null;
+}
+
+/**
+ * When the occurrence of the window containing `instant` ends.
+ * @returns {{ iso: string, text: string } | null} null when not inside the window
+ */
+export function windowEnd(window, instant = new Date(), tz = SERVICE_TZ) {
+  const now = localMoment(instant, tz);
+  const anchor = windowAnchor(window, now);
+  if (!anchor) return null;
+
+  const { start, end } = clockRange(window);
+  if (start !== 0 || end !== 1440) {
+    const endDay = end <= start ? addDays(anchor, 1) : anchor;
+    const iso = end === 1440
+      ? zonedISO(tz, ...ymd(addDays(endDay, 1)), 0, 0)
+      : zonedISO(tz, ...ymd(endDay), Math.floor(end / 60), end % 60);
+    const tomorrow = endDay.date !== now.date && end !== 1440;
+    return { iso, text: `${spokenClock(end)}${tomorrow ? ' tomorrow' : ''}` };
+  }
+
+  // All-day window: runs to the end of its date range
+  const range = activeRange(window, anchor);
+  if (!range) return null;
+  const last = rangeEndDate(range, anchor);
+  return { iso: zonedISO(tz, ...ymd(addDays(last, 1)), 0, 0), text: spokenDate(last.md) };
+}
+
+/**
+ * Open or closed at an instant, and when that changes.
+ * A period that closes after midnight belongs to the day it opened.
+ * @param {Object} hours - { weekly: [{ days, open, close }], seasonal: [{ id, dates, weekly?, closed?, reason? }] }
+ * @returns {{ open: boolean, opens_at, closes_at, season, reason }}
+ *   opens_at / closes_at are { iso, text, minutes_away } or null (none within a week);
+ *   "tomorrow" / weekday names in `text` are relative to the instant's local day
+ */
+export function openingStatus(hours, instant = new Date(), tz = SERVICE_TZ) {
+  const now = localMoment(instant, tz);
+
+  // Periods laid out in minutes relative to today's midnight
+  const spans = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = addDays(now, offset);
+    for (const period of hoursOn(hours, day).periods) {
+      const open = parseClockTime(period.open) ?? 0;
+      let close = parseClockTime(period.close) ?? 1440;
+      if (close <= open) close += 1440;
+      spans.push({ day, start: offset * 1440 + open, end: offset * 1440 + close });
+    }
+  }
+
+  const current = spans.find(span => span.start <= now.minutes && now.minutes < span.end);
+  const season = hoursOn(hours, current?.day || now).season;
+  const at = minutes => relativeTime(tz, now, minutes, instant);
+
+  if (current) {
+    // Back-to-back periods ("11:00-15:00", "15:00-22:00") read as one
+    let end = current.end;
+    for (const span of spans.sort((a, b) => a.start - b.start)) {
+      if (span.start <= end && span.end > end) end = span.end;
+    }
+    return { open: true, opens_at: null, closes_at: at(end), season: season?.id || null, reason: null };
+  }
+
+  const next = spans.filter(span => span.start > now.minutes).sort((a, b) => a.start - b.start)[0];
+  return {
+    open: false,
+    opens_at: next ? at(next.start) : null,
+    closes_at: null,
+    season: season?.id || null,
+    reason: season?.reason || null
+  };
+}
+
+/**
+ * Minutes -> "5pm", "8:30am", "noon", "midnight"
+ */
+export function spokenClock(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  if (m === 0) return 'midnight';
+  if (m === 720) return 'noon';
+  const h = Math.floor(m / 60);
+  const mi = m % 60;
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return `${h12}${mi ? `:${String(mi).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * 'MM-DD' or 'YYYY-MM-DD' -> "May 15"
+ */
+export function spokenDate(text) {
+  const [month, day] = String(text).split('-').slice(-2).map(Number);
+  return `${MONTHS[month - 1]} ${day}`;
+}
+
+/**
+ * Weekday index (0 = Sunday) -> "Monday"
+ */
+export function dayName(weekday) {
+  return DAY_NAMES[weekday];
+}
+
+/**
+ * Normalize a `days` value to day keys ('mon'...), or null for every day
+ */
+export function dayKeys(days) {
+  if (!days) return null;
+  if (typeof days === 'string') return DAY_GROUPS[days] || [days.slice(0, 3).toLowerCase()];
+  return days.flatMap(day => DAY_GROUPS[day] || [String(day).slice(0, 3).toLowerCase()]);
+}
+
+/**
+ * Is a local date (a moment) inside a { from, to } range?
+ */
+export function inDateRange(moment, range) {
+  const { from, to } = range;
+  if (from.length === 10 || to.length === 10) {
+    const lo = from.length === 10 ? from : `${moment.year}-${from}`;
+    const hi = to.length === 10 ? to : `${moment.year}-${to}`;
+    return moment.date >= lo && moment.date <= hi;
+  }
+  // Recurring: "11-15".."04-15" wraps the New Year
+  return from <= to
+    ? moment.md >= from && moment.md <= to
+    : moment.md >= from || moment.md <= to;
+}
+
+// Opening periods for one local date: a seasonal override when one covers it
+function hoursOn(hours, day) {
+  const season = (hours.seasonal || []).find(entry => activeRange(entry, day));
+  if (season) {
+    return { season, periods: season.closed ? [] : periodsOn(season.weekly, day) };
+  }
+  return { season: null, periods: periodsOn(hours.weekly, day) };
+}
+
+function periodsOn(weekly, day) {
+  return (weekly || []).filter(period => {
+    const days = dayKeys(period.days);
+    return !days || days.includes(DAY_KEYS[day.weekday]);
+  });
+}
+
+// Minutes after today's local midnight (may be > 1440) -> { iso, text, minutes_away }
+// text: "5pm", "9am tomorrow", "11am Friday", "5pm on June 12", "midnight"
+// (a close at 00:00 is the end of the day before, so tonight's is just "midnight").
+// minutes_away is real elapsed time from `instant`, so it stays right across a DST change.
+function relativeTime(tz, now, minutes, instant) {
+  const days = Math.floor(minutes / 1440);
+  const clockMinutes = minutes - days * 1440;
+  const day = addDays(now, days);
+  const spokenDays = clockMinutes === 0 && days > 0 ? days - 1 : days;
+  const spokenDay = addDays(now, spokenDays);
+  const when = spokenDays === 0 ? ''
+    : spokenDays === 1 ? ' tomorrow'
+    : spokenDays < 7 ? ` ${dayName(spokenDay.weekday)}`
+    : ` on ${spokenDate(spokenDay.md)}`;
+  const iso = zonedISO(tz, ...ymd(day), Math.floor(clockMinutes / 60), clockMinutes % 60);
+  return {
+    iso,
+    text: clockMinutes === 0 && spokenDays > 0 ? `midnight${when} night` : `${spokenClock(clockMinutes)}${when}`,
+    minutes_away: Math.round((Date.parse(iso) - instant.getTime()) / 60000)
+  };
+}
+
+// The local day whose occurrence of the window contains `moment`, or null
+function windowAnchor(window, moment) {
+  const { start, end } = clockRange(window);
+
+  let anchor;
+  if (end > start) {
+    if (moment.minutes < start || moment.minutes >= end) return null;
+    anchor = moment;
+  } else if (moment.minutes >= start) {
+    anchor = moment;
+  } else if (moment.minutes < end) {
+    anchor = addDays(moment, -1);
+  } else {
+    return null;
+  }
+
+  const days = dayKeys(window.days);
+  if (days && !days.includes(DAY_KEYS[anchor.weekday])) return null;
+  if (window.dates && !activeRange(window, anchor)) return null;
+  if (window.except && activeRange({ dates: window.except }, anchor)) return null;
+  return anchor;
+}
+
+function clockRange(window) {
+  const start = parseClockTime(window.start) ?? 0;
+  let end = parseClockTime(window.end) ?? 1440;
+  // "05:20"-"00:00" means until midnight, not a 24h wrap
+  if (end === 0 && start > 0) end = 1440;
+  return { start, end };
+}
+
+function activeRange(window, moment) {
+  const ranges = Array.isArray(window.dates) ? window.dates : [window.dates];
+  return ranges.find(range => range && inDateRange(moment, range)) || null;
+}
+
+// Last day of the range occurrence that contains `moment`
+function rangeEndDate(range, moment) {
+  if (range.to.length === 10) {
+    const [y, m, d] = range.to.split('-').map(Number);
+    return toMoment(y, m, d, 0);
+  }
+  const [m, d] = range.to.split('-').map(Number);
+  const wraps = range.from > range.to && moment.md >= range.from;
+  return toMoment(moment.year + (wraps ? 1 : 0), m, d, 0);
+}
+
+function toMoment(year, month, day, minutes) {
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    year,
+    month,
+    day,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes,
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    md: `${pad(month)}-${pad(day)}`
+  };
+}
+
+function addDays(moment, n) {
+  const dt = new Date(Date.UTC(moment.year, moment.month - 1, moment.day + n));
+  return toMoment(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate(), moment.minutes);
+}
+
+function ymd(moment) {
+  return [moment.year, moment.month, moment.day];
+}
@@ -0,0 +1,108 @@
+// src/lib/fuzzy-match.js
+// CLAIRE v4.2 - String similarity for location search
+// Catches speech-to-text near misses ("matsuhissa", "hotel jerom") that
+// the curated phonetic/misspelling indices don't list.
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+export function normalizeForMatch(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Jaro-Winkler similarity (0..1). Rewards shared prefixes, which suits
+ * transcripts that get the start of a name right and garble the end.
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Best similarity between a query and a list of candidate strings.
+ * Returns { similarity, distance, matched_text } or null when nothing is comparable.
+ */
+export function bestFuzzyMatch(query, candidates) {
+  const q = normalizeForMatch(query);
+  if (!q) return null;
+
+  let best = null;
+  for (const candidate of candidates) {
+    const c = normalizeForMatch(candidate);
+    if (!c) continue;
+
+    const similarity = jaroWinkler(q, c);
+    if (!best || similarity > best.similarity) {
+      best = { similarity, matched_text: candidate, normalized: c };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    similarity: Math.round(best.similarity * 1000) / 1000,
+    distance: levenshtein(q, best.normalized),
+    matched_text: best.matched_text
+  };
+}
@@ -0,0 +1,81 @@
+// src/lib/geohash.js
+// CLAIRE v4.2 - Geohash grid for nearby-location lookups
+// combine.js buckets every location by geohash; LocationDatabase.nearby only
+// reads the cells that cover the search radius.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision 5 cells are ~3 x 3 miles in the valley
+export const GEOHASH_PRECISION = 5;
+
+export function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coord = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Cell height/width in degrees for a precision
+ */
+export function geohashCellSize(precision = GEOHASH_PRECISION) {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return {
+    lat: 180 / 2 ** latBits,
+    lng: 360 / 2 ** lngBits
+  };
+}
+
+/**
+ * Every cell that overlaps a circle of radiusMiles around a point
+ */
+export function geohashesCovering(lat, lng, radiusMiles, precision = GEOHASH_PRECISION) {
+  const latDelta = radiusMiles / 69;
+  const lngDelta = radiusMiles / (69 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  const size = geohashCellSize(precision);
+
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+  const minLng = lng - lngDelta;
+  const maxLng = lng + lngDelta;
+
+  // Walk cell centres aligned to the grid
+  const firstLat = (Math.floor((minLat + 90) / size.lat) + 0.5) * size.lat - 90;
+  const firstLng = (Math.floor((minLng + 180) / size.lng) + 0.5) * size.lng - 180;
+
+  const cells = new Set();
+  for (let cLat = firstLat; cLat - size.lat / 2 <= maxLat; cLat += size.lat) {
+    for (let cLng = firstLng; cLng - size.lng / 2 <= maxLng; cLng += size.lng) {
+      cells.add(encodeGeohash(Math.min(cLat, 90), ((cLng + 540) % 360) - 180, precision));
+    }
+  }
+
+  return [...cells];
+}
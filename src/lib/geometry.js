@@ -0,0 +1,91 @@
+// src/lib/geometry.js
+// CLAIRE v4.2 - GeoJSON point-in-polygon for town boundaries and zones
+// Coordinates follow GeoJSON order: [lng, lat].
+
+/**
+ * Unwrap a Feature and return a Polygon / MultiPolygon geometry, or null
+ */
+export function polygonGeometry(geojson) {
+  const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+  if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') return geometry;
+  return null;
+}
+
+/**
+ * Problems with a boundary, empty when it is usable
+ */
+export function validatePolygon(geojson) {
+  const geometry = polygonGeometry(geojson);
+  if (!geometry) return ['must be a GeoJSON Polygon or MultiPolygon'];
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const errors = [];
+
+  if (!Array.isArray(polygons) || polygons.length === 0) return ['has no coordinates'];
+
+  polygons.forEach((rings, p) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      errors.push(`polygon ${p} has no rings`);
+      return;
+    }
+    rings.forEach((ring, r) => {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push(`polygon ${p} ring ${r} needs at least 4 positions`);
+        return;
+      }
+      const bad = ring.find(pt => !Array.isArray(pt) || typeof pt[0] !== 'number' || typeof pt[1] !== 'number' ||
+        Math.abs(pt[0]) > 180 || Math.abs(pt[1]) > 90);
+      if (bad) errors.push(`polygon ${p} ring ${r} has an invalid [lng, lat] position`);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Is the point inside the polygon? Holes (inner rings) are excluded.
+ */
+export function pointInPolygon(lat, lng, geojson) {
+  const geometry = polygonGeometry(geojson);
+  if (!geometry) return false;
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(([outer, ...holes]) =>
+    insideRing(lng, lat, outer) && !holes.some(hole => insideRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Approximate area in square degrees, used to prefer the tighter of two
+ * overlapping boundaries
+ */
+export function polygonArea(geojson) {
+  const geometry = polygonGeometry(geojson);
+  if (!geometry) return 0;
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.reduce((total, [outer, ...holes]) =>
+    total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+}
+
+// Ray casting
+function insideRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Shoelace
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(sum / 2);
+}
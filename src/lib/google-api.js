@@ -17,7 +17,8 @@ export async function geocodeAddress(address, apiKey) {
     formatted_address: result.formatted_address,
     lat: result.geometry.location.lat,
     lng: result.geometry.location.lng,
-    place_id: result.place_id
+    place_id: result.place_id,
+    address_components: result.address_components || []
   };
 }
 
@@ -34,4 +35,59 @@ export async function reverseGeocode(lat, lng, apiKey) {
   }
 
   return data.results[0].formatted_address;
-}
\ No newline at end of file
+}
+// Traffic-aware drive time between two points (Distance Matrix)
+export async function getDriveTime(origin, destination, apiKey) {
+  const url = new URL('https://maps.googleapis.com/maps/api/distancematrix/json');
+  url.searchParams.set('origins', `${origin.lat},${origin.lng}`);
+  url.searchParams.set('destinations', `${destination.lat},${destination.lng}`);
+  url.searchParams.set('units', 'imperial');
+  url.searchParams.set('mode', 'driving');
+  url.searchParams.set('region', 'US');
+  url.searchParams.set('departure_time', 'now');
+  url.searchParams.set('traffic_model', 'best_guess');
+  url.searchParams.set('key', apiKey);
+
+  const response = await fetch(url.toString());
+  const data = await response.json();
+
+  const element = data?.rows?.[0]?.elements?.[0];
+  if (data.status !== 'OK' || !element || element.status !== 'OK') {
+    return null;
+  }
+
+  const durationSeconds = element.duration_in_traffic?.value ?? element.duration?.value ?? 0;
+  const distanceMeters = element.distance?.value ?? 0;
+
+  return {
+    duration_minutes: Math.ceil(durationSeconds / 60),
+    distance_miles: Math.round((distanceMeters / 1609.344) * 10) / 10,
+    distance_text: element.distance?.text || null,
+    in_traffic: element.duration_in_traffic != null
+  };
+}
+
+// Straight-line fallback when Google is unavailable
+const ROAD_FACTOR = 1.4;
+const FALLBACK_SPEED_MPH = 30;
+
+// Drive time from straight-line distance, same shape as getDriveTime
+export function estimateDriveTime(origin, destination) {
+  const miles = haversineMiles(origin.lat, origin.lng, destination.lat, destination.lng) * ROAD_FACTOR;
+  return {
+    duration_minutes: Math.ceil((miles / FALLBACK_SPEED_MPH) * 60),
+    distance_miles: Math.round(miles * 10) / 10,
+    distance_text: null,
+    in_traffic: false
+  };
+}
+
+function haversineMiles(lat1, lng1, lat2, lng2) {
+  const R = 3959;
+  const toRad = deg => deg * (Math.PI / 180);
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
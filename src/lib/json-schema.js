@@ -0,0 +1,139 @@
+// src/lib/json-schema.js
+// CLAIRE v4.2 - Minimal JSON Schema (draft-07 subset) validator
+// Shared by the build (combine.js) and the Worker. Workers forbid runtime
+// code generation, so compiling validators such as ajv are not an option.
+//
+// Supported keywords: $ref (local "#/..."), type, enum, const, required,
+// properties, additionalProperties, items, minItems, maxItems, uniqueItems,
+// minLength, maxLength, pattern, minimum, maximum, anyOf.
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Schema that "#/..." refs resolve against (defaults to schema)
+ * @param {string} [options.path] - Path prefix for reported errors
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  check(schema, value, options.path || '$', options.root || schema, errors);
+  return errors;
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(option => validateSchema(option, value, { root, path }).length === 0);
+    if (!passes) errors.push({ path, message: 'does not match any allowed shape' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: `${path}[${i}]`, message: 'is a duplicate' });
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, root, errors));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        check(properties[key], child, `${path}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, child, `${path}.${key}`, root, errors);
+      }
+    }
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`Only local $ref is supported: ${ref}`);
+  const target = ref.slice(1).split('/').filter(Boolean)
+    .reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (target === undefined) throw new Error(`Unresolved $ref: ${ref}`);
+  return target;
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -1,27 +1,71 @@
 // location-db.js
 // CLAIRE v4.2 - Cloudflare Workers Compatible
-// Replace your existing location-db.js with this file
+// Bundles the combined dataset built by src/data/locations/combine.js (npm run build);
+// a version published to KV via /admin/locations takes precedence when present
+
+import locationsData from '../data/locations.min.json';
+import { getActivePointer, getDatasetVersion, supersedesBundle } from './location-store.js';
+import { bestFuzzyMatch } from './fuzzy-match.js';
+import { phoneticKey } from './phonetic.js';
+import { geohashesCovering } from './geohash.js';
+import { pointInPolygon, polygonArea } from './geometry.js';
+import { windowApplies, windowEnd, openingStatus } from './calendar-rules.js';
+import { SERVICE_TZ } from './time-parser.js';
+
+// Nearby lookups: default and maximum search radius
+export const DEFAULT_NEARBY_RADIUS_MILES = 5;
+export const MAX_NEARBY_RADIUS_MILES = 60;
+
+// Reverse match: how far a coordinate may be from a place and still "be" it.
+// Airports and ski areas cover far more ground than their pin.
+export const DEFAULT_REVERSE_TOLERANCE_METERS = 150;
+const REVERSE_TOLERANCE_BY_CATEGORY = {
+  airport: 600,
+  ski_area: 400,
+  transportation: 250,
+  recreation: 250
+};
+const METERS_PER_MILE = 1609.344;
+
+// Fuzzy tier: Jaro-Winkler similarity at or above the threshold maps onto
+// FUZZY_MIN_SCORE..FUZZY_MAX_SCORE, the lowest tier: below keyword sound
+// matches (0.55) by more than the popularity boost, so a loose hit never
+// outranks a real partial or keyword match
+export const DEFAULT_FUZZY_THRESHOLD = 0.88;
+const FUZZY_MIN_SCORE = 0.4;
+const FUZZY_MAX_SCORE = 0.5;
+
+// Intent suggestions: how much being close to the anchor and being open count
+// next to relevance (0.55-1.0)
+const SUGGEST_PROXIMITY_WEIGHT = 0.3;
+const SUGGEST_OPEN_BONUS = 0.05;
+const MIN_SOUND_INTENT_LENGTH = 5;
 
 export class LocationDatabase {
   /**
    * @param {Object} locationsData - The parsed locations.json data
+   * @param {Object} [meta] - { source: 'bundled' | 'kv', version }
    */
-  constructor(locationsData) {
+  constructor(locationsData, meta = {}) {
     if (!locationsData) {
       throw new Error('[LocationDB] No locations data provided');
     }
     
+    this.source = meta.source || 'bundled';
+    this.version = meta.version || locationsData.version || null;
+
     this.locations = locationsData.locations || [];
     this.indices = locationsData.indices || {};
     this.towns = locationsData.service_area?.towns || {};
     this.confusionGroups = locationsData.confusion_groups || [];
+    this.byId = new Map(this.locations.map(loc => [loc.id, loc]));
     
-    console.log(`[LocationDB] Initialized: ${this.locations.length} locations, ${Object.keys(this.indices.by_phonetic || {}).length} phonetic variants`);
+    console.log(`[LocationDB] Initialized (${this.source} ${this.version}): ${this.locations.length} locations, ${Object.keys(this.indices.by_phonetic || {}).length} phonetic variants`);
   }
 
   // Find location by ID
   findById(id) {
-    return this.locations.find(loc => loc.id === id) || null;
+    return this.byId.get(id) || null;
   }
 
   // Search by query with phonetic/misspelling support
@@ -29,7 +73,10 @@ export class LocationDatabase {
     const {
       caller_coords = null,
       max_results = 5,
-      category_filter = null
+      category_filter = null,
+      fuzzy_threshold = DEFAULT_FUZZY_THRESHOLD,
+      prior = null,
+      prior_context = {}
     } = options;
 
     if (!query || query.trim().length === 0) {
@@ -80,7 +127,43 @@ export class LocationDatabase {
       }
     }
 
-    // PRIORITY 4: Partial match in canonical name (score: 0.7)
+    // PRIORITY 4: Street address match (score: 0.85)
+    // "303 E Main St" or "303 E Main St Aspen" against the street line of
+    // the address; queries must start with a house number
+    if (/^\d/.test(normalizedQuery)) {
+      const q = normalizedQuery.replace(/[.,]/g, '').replace(/\s+/g, ' ');
+      for (const loc of this.locations) {
+        if (!loc.address || matches.find(m => m.location.id === loc.id)) continue;
+
+        const street = loc.address.split(',')[0].toLowerCase().replace(/\./g, '').trim();
+        if (q === street || street.startsWith(q + ' ') || q.startsWith(street + ' ')) {
+          matches.push({
+            location: loc,
+            score: 0.85,
+            match_type: 'address'
+          });
+        }
+      }
+    }
+
+    // PRIORITY 5: Sounds like a name or spoken variant (score: 0.8)
+    // Metaphone keys generated by combine.js; catches variants nobody curated
+    const soundKey = phoneticKey(normalizedQuery);
+    if (soundKey && this.indices.by_sound) {
+      for (const id of this.indices.by_sound[soundKey] || []) {
+        const loc = this.findById(id);
+        if (loc && !matches.find(m => m.location.id === id)) {
+          matches.push({
+            location: loc,
+            score: 0.8,
+            match_type: 'sound',
+            sound_key: soundKey
+          });
+        }
+      }
+    }
+
+    // PRIORITY 6: Partial match in canonical name (score: 0.7)
     for (const loc of this.locations) {
       if (matches.find(m => m.location.id === loc.id)) continue;
       
@@ -94,7 +177,7 @@ export class LocationDatabase {
       }
     }
 
-    // PRIORITY 5: Search keywords match (score: 0.6)
+    // PRIORITY 7: Search keywords match (score: 0.6)
     for (const loc of this.locations) {
       if (matches.find(m => m.location.id === loc.id)) continue;
       
@@ -111,6 +194,45 @@ export class LocationDatabase {
       }
     }
 
+    // PRIORITY 8: Sounds like a search keyword (score: 0.55)
+    if (soundKey && this.indices.by_keyword_sound) {
+      for (const id of this.indices.by_keyword_sound[soundKey] || []) {
+        const loc = this.findById(id);
+        if (loc && !matches.find(m => m.location.id === id)) {
+          matches.push({
+            location: loc,
+            score: 0.55,
+            match_type: 'keyword_sound',
+            sound_key: soundKey
+          });
+        }
+      }
+    }
+
+    // PRIORITY 9: Fuzzy match on names and curated variants (score: 0.4-0.5)
+    if (fuzzy_threshold < 1) {
+      for (const loc of this.locations) {
+        if (matches.find(m => m.location.id === loc.id)) continue;
+
+        const fuzzy = bestFuzzyMatch(normalizedQuery, [
+          loc.canonical_name,
+          loc.full_name,
+          ...(loc.phonetic_variants || []),
+          ...(loc.common_misspellings || [])
+        ].filter(Boolean));
+
+        if (fuzzy && fuzzy.similarity >= fuzzy_threshold) {
+          const span = (fuzzy.similarity - fuzzy_threshold) / (1 - fuzzy_threshold);
+          matches.push({
+            location: loc,
+            score: Math.round((FUZZY_MIN_SCORE + span * (FUZZY_MAX_SCORE - FUZZY_MIN_SCORE)) * 1000) / 1000,
+            match_type: 'fuzzy',
+            fuzzy: { ...fuzzy, threshold: fuzzy_threshold }
+          });
+        }
+      }
+    }
+
     // Filter by category if specified
     let filteredMatches = matches;
     if (category_filter) {
@@ -119,10 +241,20 @@ export class LocationDatabase {
       );
     }
 
-    // Sort by score, then by distance if caller coords provided
+    // Popularity prior (location-popularity.js): a small boost from confirmed
+    // trips, so among equal matches the place people actually go comes first
+    if (prior) {
+      for (const m of filteredMatches) {
+        const popularity = prior.boost(m.location.id, prior_context);
+        if (popularity.boost > 0) m.prior = popularity;
+      }
+    }
+    const rank = m => m.score + (m.prior?.boost || 0);
+
+    // Sort by score (plus prior), then by distance if caller coords provided
     filteredMatches.sort((a, b) => {
-      if (a.score !== b.score) {
-        return b.score - a.score;
+      if (rank(a) !== rank(b)) {
+        return rank(b) - rank(a);
       }
       
       if (caller_coords) {
@@ -161,12 +293,191 @@ export class LocationDatabase {
     return degrees * (Math.PI / 180);
   }
 
-  // Detect caller's town based on coordinates
+  /**
+   * Closest known places to a coordinate ("what's the closest bar to me").
+   * Reads only the geohash cells covering the radius; datasets without
+   * indices.by_geohash fall back to a full scan.
+   * @param {number} lat
+   * @param {number} lng
+   * @param {Object} [options] - { radius_miles, category, max_results }
+   * @returns {Array<{ location, distance_miles }>} nearest first
+   */
+  nearby(lat, lng, options = {}) {
+    const {
+      radius_miles = DEFAULT_NEARBY_RADIUS_MILES,
+      category = null,
+      max_results = 5
+    } = options;
+
+    const radius = Math.min(radius_miles, MAX_NEARBY_RADIUS_MILES);
+    const grid = this.indices.by_geohash;
+    const precision = grid ? Object.keys(grid)[0]?.length : 0;
+
+    let candidates;
+    if (precision) {
+      candidates = geohashesCovering(lat, lng, radius, precision)
+        .flatMap(cell => grid[cell] || [])
+        .map(id => this.findById(id))
+        .filter(Boolean);
+    } else {
+      candidates = this.locations;
+    }
+
+    const results = [];
+    for (const loc of candidates) {
+      if (category && !matchesCategory(loc, category)) continue;
+      if (typeof loc.coordinates?.lat !== 'number') continue;
+
+      const distance = this.calculateDistance(lat, lng, loc.coordinates.lat, loc.coordinates.lng);
+      if (distance <= radius) {
+        results.push({ location: loc, distance_miles: Math.round(distance * 100) / 100 });
+      }
+    }
+
+    return results
+      .sort((a, b) => a.distance_miles - b.distance_miles || a.location.id.localeCompare(b.location.id))
+      .slice(0, max_results);
+  }
+
+  /**
+   * Places that fit what the caller wants rather than a name they said
+   * ("sushi", "steakhouse", "a bar"), ranked by how well they fit, how close
+   * they are to the anchor, whether they're open and how popular they are.
+   * @param {string} what - Category, subcategory or keyword
+   * @param {Object} [options]
+   * @param {{lat: number, lng: number}} [options.near] - Anchor; limits results to radius_miles
+   * @param {number} [options.radius_miles]
+   * @param {number} [options.min_price] - price_level bounds (1-4); unpriced places are left out
+   * @param {number} [options.max_price]
+   * @param {Date} [options.open_at] - Leave out places known to be closed then
+   * @param {boolean} [options.closest] - Nearest first instead of best fit
+   * @param {Object} [options.prior] - PopularityPrior (location-popularity.js)
+   * @param {Object} [options.prior_context]
+   * @param {number} [options.max_results]
+   * @returns {Array<{ location, relevance, matched_on, distance_miles, opening, prior, rank }>}
+   */
+  suggest(what, options = {}) {
+    const {
+      near = null,
+      radius_miles = DEFAULT_NEARBY_RADIUS_MILES,
+      min_price = null,
+      max_price = null,
+      open_at = null,
+      closest = false,
+      prior = null,
+      prior_context = {},
+      max_results = 5,
+      tz = SERVICE_TZ
+    } = options;
+
+    const candidates = near
+      ? this.nearby(near.lat, near.lng, { radius_miles, max_results: Infinity })
+      : this.locations.map(location => ({ location, distance_miles: null }));
+
+    const results = [];
+    for (const { location, distance_miles } of candidates) {
+      const match = intentMatch(location, what);
+      if (!match) continue;
+
+      if (min_price !== null || max_price !== null) {
+        const price = location.price_level;
+        if (typeof price !== 'number') continue;
+        if ((min_price !== null && price < min_price) || (max_price !== null && price > max_price)) continue;
+      }
+
+      const opening = open_at ? this.openingStatus(location.id, open_at, { tz }) : null;
+      if (opening && !opening.open) continue;
+
+      const popularity = prior ? prior.boost(location.id, prior_context) : null;
+      const proximity = distance_miles === null ? 0 : SUGGEST_PROXIMITY_WEIGHT / (1 + distance_miles);
+      const rank = match.relevance + proximity + (opening?.open ? SUGGEST_OPEN_BONUS : 0) + (popularity?.boost || 0);
+
+      results.push({
+        location,
+        relevance: match.relevance,
+        matched_on: match.matched_on,
+        distance_miles,
+        opening,
+        prior: popularity?.boost > 0 ? popularity : null,
+        rank: Math.round(rank * 1000) / 1000
+      });
+    }
+
+    return results
+      .sort((a, b) => (closest && near ? a.distance_miles - b.distance_miles : 0) ||
+        b.rank - a.rank ||
+        a.location.id.localeCompare(b.location.id))
+      .slice(0, max_results);
+  }
+
+  /**
+   * Snap a coordinate to the known place it is at, if any.
+   * @param {Object} [options] - { tolerance_meters } overrides the per-category tolerance
+   * @returns {{ location, distance_meters, tolerance_meters } | null}
+   */
+  reverseMatch(lat, lng, options = {}) {
+    const { tolerance_meters = null } = options;
+    const maxTolerance = tolerance_meters ??
+      Math.max(DEFAULT_REVERSE_TOLERANCE_METERS, ...Object.values(REVERSE_TOLERANCE_BY_CATEGORY));
+
+    const candidates = this.nearby(lat, lng, {
+      radius_miles: maxTolerance / METERS_PER_MILE,
+      max_results: 10
+    });
+
+    for (const { location } of candidates) {
+      const tolerance = tolerance_meters ??
+        REVERSE_TOLERANCE_BY_CATEGORY[location.category] ??
+        DEFAULT_REVERSE_TOLERANCE_METERS;
+      const distance = this.calculateDistance(lat, lng, location.coordinates.lat, location.coordinates.lng) * METERS_PER_MILE;
+
+      if (distance <= tolerance) {
+        return {
+          location,
+          distance_meters: Math.round(distance),
+          tolerance_meters: tolerance
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Detect caller's town based on coordinates.
+  // Towns with a boundary polygon are matched by point-in-polygon (tightest
+  // boundary wins); towns without one fall back to the nearest centre within radius_miles.
   detectCallerTown(lat, lng) {
+    let polygonTown = null;
+    let smallestArea = Infinity;
+
+    for (const [townKey, townData] of Object.entries(this.towns)) {
+      if (!townData.boundary || !pointInPolygon(lat, lng, townData.boundary)) continue;
+
+      const area = polygonArea(townData.boundary);
+      if (area < smallestArea) {
+        smallestArea = area;
+        polygonTown = { townKey, townData };
+      }
+    }
+
+    if (polygonTown) {
+      const { townKey, townData } = polygonTown;
+      return {
+        key: townKey,
+        name: townData.display_name,
+        distance_miles: Math.round(this.calculateDistance(
+          lat, lng, townData.coordinates.lat, townData.coordinates.lng
+        ) * 100) / 100,
+        method: 'polygon'
+      };
+    }
+
     let closestTown = null;
     let minDistance = Infinity;
 
     for (const [townKey, townData] of Object.entries(this.towns)) {
+      if (townData.boundary) continue;
+
       const distance = this.calculateDistance(
         lat, lng,
         townData.coordinates.lat,
@@ -178,7 +489,8 @@ export class LocationDatabase {
         closestTown = {
           key: townKey,
           name: townData.display_name,
-          distance_miles: Math.round(distance * 100) / 100
+          distance_miles: Math.round(distance * 100) / 100,
+          method: 'radius'
         };
       }
     }
@@ -225,4 +537,214 @@ export class LocationDatabase {
     const loc = this.findById(locationId);
     return loc?.restrictions || null;
   }
-}
\ No newline at end of file
+
+  /**
+   * Seasonal / time-of-day access rules in force at an instant
+   * ("bus-only 8am-5pm in summer", "road closed in winter").
+   * Rules with no `blocks` are advisories Claire mentions but can still book.
+   * @param {string} locationId
+   * @param {Date} [instant] - Requested pickup (or arrival) time
+   * @param {Object} [options] - { tz }
+   * @returns {Array<{ id, reason, blocks, until, until_text, script }>}
+   */
+  activeRestrictions(locationId, instant = new Date(), { tz = SERVICE_TZ } = {}) {
+    const loc = this.findById(locationId);
+    return (loc?.access_restrictions || [])
+      .filter(rule => windowApplies(rule, instant, tz))
+      .map(rule => {
+        const until = windowEnd(rule, instant, tz);
+        const script = rule.script || `${loc.canonical_name}: ${rule.reason}${until ? ` until ${until.text}` : ''}.`;
+        return {
+          id: rule.id,
+          reason: rule.reason,
+          blocks: rule.blocks || [],
+          until: until?.iso || null,
+          until_text: until?.text || null,
+          script: script
+            .replace(/\{name\}/g, loc.canonical_name)
+            .replace(/\{until\}/g, until?.text || 'further notice')
+        };
+      });
+  }
+
+  /**
+   * Open or closed at an instant, from the location's business_hours
+   * @returns {{ open, opens_at, closes_at, season, reason } | null} null when hours aren't known
+   */
+  openingStatus(locationId, instant = new Date(), { tz = SERVICE_TZ } = {}) {
+    const hours = this.findById(locationId)?.business_hours;
+    return hours ? openingStatus(hours, instant, tz) : null;
+  }
+
+  // Named entrances / loading zones, default first
+  getPickupPoints(locationId) {
+    const points = this.findById(locationId)?.pickup_points || [];
+    return [...points].sort((a, b) => Number(Boolean(b.default)) - Number(Boolean(a.default)));
+  }
+
+  /**
+   * Match what the caller said ("the Durant side", "gondola") to one of the
+   * location's pickup points by id, name or alias. Longest alias wins.
+   * @returns {Object|null} The pickup point, or null if nothing matches
+   */
+  resolvePickupPoint(locationId, choice) {
+    const points = this.getPickupPoints(locationId);
+    const spoken = normalizePointName(choice);
+    if (!spoken || points.length === 0) return null;
+
+    const exact = points.find(point => point.id === String(choice).trim() ||
+      [point.name, ...(point.aliases || [])].some(name => normalizePointName(name) === spoken));
+    if (exact) return exact;
+
+    let best = null;
+    let bestLength = 0;
+    for (const point of points) {
+      for (const name of [point.name, ...(point.aliases || [])]) {
+        const phrase = normalizePointName(name);
+        if (phrase.length > bestLength && ` ${spoken} `.includes(` ${phrase} `)) {
+          best = point;
+          bestLength = phrase.length;
+        }
+      }
+    }
+    return best;
+  }
+}
+
+// "The Durant Ave. side" -> "durant ave side"
+function normalizePointName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\b(the|at|by|on)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// How well a location fits an intent word or phrase, best signal wins:
+// category / subcategory 1.0, exact keyword 0.9, keyword containing it 0.75,
+// what it's good or famous for 0.65, a keyword that sounds the same 0.55
+function intentMatch(loc, what) {
+  const term = String(what || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  if (!term) return null;
+  // "steakhouses" / "bars"
+  const terms = term.endsWith('s') && term.length > 3 ? [term, term.slice(0, -1)] : [term];
+
+  if (terms.some(t => matchesCategory(loc, t))) {
+    return { relevance: 1.0, matched_on: terms.includes(loc.category) ? 'category' : 'subcategory' };
+  }
+
+  const keywords = (loc.search_keywords || []).map(kw => kw.toLowerCase());
+  if (keywords.some(kw => terms.includes(kw))) {
+    return { relevance: 0.9, matched_on: 'keyword' };
+  }
+  if (keywords.some(kw => terms.some(t => ` ${kw} `.includes(` ${t} `)))) {
+    return { relevance: 0.75, matched_on: 'keyword' };
+  }
+
+  const context = loc.local_context || {};
+  const goodFor = [...(context.good_for || []), context.famous_for || '']
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ');
+  if (terms.some(t => ` ${goodFor} `.includes(` ${t} `))) {
+    return { relevance: 0.65, matched_on: 'good_for' };
+  }
+
+  // Short words ("bar") share sound keys with too much to be useful
+  const soundKey = term.length >= MIN_SOUND_INTENT_LENGTH ? phoneticKey(term) : null;
+  if (soundKey && keywords.some(kw => phoneticKey(kw) === soundKey)) {
+    return { relevance: 0.55, matched_on: 'keyword_sound' };
+  }
+  return null;
+}
+
+// "bar" matches category bar, "grocery" matches subcategory grocery,
+// "pizza" matches restaurant/pizza
+function matchesCategory(loc, category) {
+  const wanted = String(category).toLowerCase().trim().replace(/\s+/g, '_');
+  if (loc.category === wanted || loc.subcategory === wanted) return true;
+  return (loc.subcategory || '').split('_').includes(wanted);
+}
+
+// ============================================================================
+// SHARED INSTANCE
+// ============================================================================
+
+// How often an isolate re-reads the active KV pointer
+const ACTIVE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Singleton instances (one per isolate, shared by all handlers)
+let _bundledInstance = null;
+let _dbInstance = null;
+let _lastActiveCheck = 0;
+
+/**
+ * Load the shared LocationDatabase.
+ * Uses the dataset published to KV unless a deploy has since changed the
+ * bundled data (edited town files win over older KV versions; code-only deploys
+ * don't). Any KV problem falls back to the bundled copy so lookups keep working.
+ */
+export async function loadLocationDatabase(env = {}) {
+  const kv = env.CALL_MEMORIES;
+
+  if (_dbInstance && (!kv || Date.now() - _lastActiveCheck < ACTIVE_CHECK_INTERVAL_MS)) {
+    return _dbInstance;
+  }
+
+  if (kv) {
+    _lastActiveCheck = Date.now();
+    try {
+      const active = await getActivePointer(kv);
+
+      if (supersedesBundle(active, locationsData)) {
+        if (_dbInstance?.source === 'kv' && _dbInstance.version === active.version) {
+          return _dbInstance;
+        }
+
+        const dataset = await getDatasetVersion(kv, active.version);
+        if (dataset) {
+          _dbInstance = new LocationDatabase(dataset, { source: 'kv', version: active.version });
+          return _dbInstance;
+        }
+        console.warn(`[LocationDB] Active version ${active.version} missing from KV, using bundled data`);
+      }
+    } catch (error) {
+      console.error('[LocationDB] KV load failed, using bundled data:', error);
+    }
+  }
+
+  _dbInstance = getBundledDatabase();
+  return _dbInstance;
+}
+
+/**
+ * Get location database (alias for loadLocationDatabase)
+ */
+export async function getLocationDatabase(env) {
+  return loadLocationDatabase(env);
+}
+
+/**
+ * The combined dataset shipped with the Worker (read-only, do not mutate)
+ */
+export function getBundledDataset() {
+  return locationsData;
+}
+
+/**
+ * LocationDatabase over the dataset shipped with the Worker
+ */
+export function getBundledDatabase() {
+  if (!_bundledInstance) {
+    _bundledInstance = new LocationDatabase(locationsData, { source: 'bundled' });
+  }
+  return _bundledInstance;
+}
+
+/**
+ * Force the next loadLocationDatabase call to re-read KV (after publish/rollback)
+ */
+export function invalidateLocationDatabase() {
+  _lastActiveCheck = 0;
+}
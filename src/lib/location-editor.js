@@ -0,0 +1,313 @@
+// src/lib/location-editor.js
+// CLAIRE v4.2 - Create / update / retire single locations without a redeploy
+// Each change is applied to the active dataset, indices are patched in place
+// (same rules as combine.js, via location-index.js) and the result is
+// published as a new version, so rollback keeps working.
+//
+// KV keys (CALL_MEMORIES namespace):
+//   locations:history:<location_id> -> [change records, newest first]
+//   locations:changes               -> [change summaries, newest first]
+
+import townSchema from '../data/locations/town.schema.json';
+import accountsData from '../data/accounts-registry.json';
+import { validateSchema } from './json-schema.js';
+import { lintLocations } from './location-lint.js';
+import {
+  indexLocation,
+  unindexLocation,
+  reorderIndexKeys,
+  buildConfusionGroups,
+  buildStats
+} from './location-index.js';
+import { getActivePointer, getDatasetVersion, publishDataset, supersedesBundle } from './location-store.js';
+import { LocationDatabase, getBundledDataset } from './location-db.js';
+
+const HISTORY_PREFIX = 'locations:history:';
+const CHANGES_KEY = 'locations:changes';
+
+// Audit retention (outlives the 10-version rollback window)
+const MAX_HISTORY_PER_LOCATION = 50;
+const MAX_RECENT_CHANGES = 200;
+
+/**
+ * The dataset admin edits apply to: the one loadLocationDatabase serves (the
+ * active KV version unless a deploy changed the bundled data), else the bundled copy.
+ * Always a private copy, safe to mutate.
+ * @returns {Promise<{ dataset: Object, version: string, source: 'kv' | 'bundled' }>}
+ */
+export async function loadEditableDataset(kv) {
+  const active = await getActivePointer(kv);
+  const bundled = getBundledDataset();
+  if (supersedesBundle(active, bundled)) {
+    const dataset = await getDatasetVersion(kv, active.version);
+    if (dataset) return { dataset, version: active.version, source: 'kv' };
+  }
+  return { dataset: structuredClone(bundled), version: bundled.version, source: 'bundled' };
+}
+
+/**
+ * Town key each location is filed under (indices.by_town)
+ */
+export function townOf(dataset, locationId) {
+  for (const [town, ids] of Object.entries(dataset.indices?.by_town || {})) {
+    if (ids.includes(locationId)) return town;
+  }
+  return null;
+}
+
+/**
+ * Summaries for the admin list, filtered by town / category / name
+ */
+export function listLocations(dataset, { town = null, category = null, q = null, limit = 50, offset = 0 } = {}) {
+  const needle = q ? String(q).toLowerCase() : null;
+  const towns = new Map();
+  for (const [key, ids] of Object.entries(dataset.indices?.by_town || {})) {
+    for (const id of ids) towns.set(id, key);
+  }
+
+  const matches = dataset.locations.filter(loc =>
+    (!town || towns.get(loc.id) === town) &&
+    (!category || loc.category === category) &&
+    (!needle || loc.id.includes(needle) || loc.canonical_name.toLowerCase().includes(needle))
+  );
+
+  return {
+    total: matches.length,
+    locations: matches.slice(offset, offset + limit).map(loc => ({
+      id: loc.id,
+      canonical_name: loc.canonical_name,
+      category: loc.category,
+      subcategory: loc.subcategory || null,
+      address: loc.address,
+      town: towns.get(loc.id) || null,
+      account_id: loc.account?.account_id || null
+    }))
+  };
+}
+
+/**
+ * Apply one change and publish the result as a new dataset version.
+ * Returns { ok: true, ... } or { ok: false, error, message, ... } - never throws for bad input.
+ *
+ * @param {Object} kv
+ * @param {Object} change
+ * @param {'create'|'update'|'retire'} change.action
+ * @param {string} change.location_id
+ * @param {Object} [change.location] - Full location (create) or fields to change (update; null removes a field)
+ * @param {string} [change.town] - Town key (file) to put it in; defaults to its current town, then the town its coordinates fall in
+ * @param {string} change.changed_by
+ * @param {string} [change.note]
+ * @param {string} [change.base_version] - Reject if the active version has moved on since
+ */
+export async function applyLocationChange(kv, change) {
+  const { action, location_id, changed_by, note = null, base_version = null } = change;
+  const { dataset, version } = await loadEditableDataset(kv);
+
+  if (base_version && base_version !== version) {
+    return {
+      ok: false,
+      error: 'VERSION_CONFLICT',
+      message: `Dataset changed since ${base_version} (active is ${version}); reload and retry`,
+      active_version: version
+    };
+  }
+
+  const db = new LocationDatabase(dataset, { source: 'editor', version });
+  backfillTownIndex(dataset, db);
+
+  const index = dataset.locations.findIndex(loc => loc.id === location_id);
+  const before = index >= 0 ? dataset.locations[index] : null;
+  const beforeTown = before ? townOf(dataset, location_id) : null;
+
+  if (action === 'create' && before) {
+    return { ok: false, error: 'LOCATION_EXISTS', message: `Location '${location_id}' already exists` };
+  }
+  if (action !== 'create' && !before) {
+    return { ok: false, error: 'LOCATION_NOT_FOUND', message: `Location '${location_id}' not found` };
+  }
+
+  let after = null;
+  let town = null;
+  let warnings = [];
+
+  if (action === 'retire') {
+    const referencedBy = dataset.locations.filter(loc => loc.id !== location_id && (
+      loc.parent_property === location_id ||
+      (loc.confusion_matrix || []).some(c => c.confused_with === location_id)
+    )).map(loc => loc.id);
+
+    if (referencedBy.length > 0) {
+      return {
+        ok: false,
+        error: 'LOCATION_REFERENCED',
+        message: `Location '${location_id}' is referenced by ${referencedBy.join(', ')}; update those first`,
+        referenced_by: referencedBy
+      };
+    }
+  } else {
+    after = action === 'create'
+      ? { ...change.location, id: location_id }
+      : mergeLocation(before, change.location || {});
+
+    if (after.id !== location_id) {
+      return { ok: false, error: 'ID_IMMUTABLE', message: 'A location id cannot be changed; retire it and create a new one' };
+    }
+
+    town = change.town || beforeTown || db.detectCallerTown(after.coordinates?.lat, after.coordinates?.lng)?.key || null;
+    if (!town || !dataset.service_area?.towns?.[town]) {
+      return {
+        ok: false,
+        error: 'UNKNOWN_TOWN',
+        message: town ? `Unknown town '${town}'` : 'town is required',
+        towns: Object.keys(dataset.service_area?.towns || {})
+      };
+    }
+
+    const problems = checkLocation(dataset, after, town);
+    const errors = problems.filter(p => p.severity === 'error');
+    if (errors.length > 0) {
+      return {
+        ok: false,
+        error: 'LOCATION_INVALID',
+        message: `Location failed validation with ${errors.length} error(s)`,
+        problems
+      };
+    }
+    warnings = problems.filter(p => p.severity === 'warning');
+  }
+
+  // Patch the indices rather than rebuilding them
+  const touched = new Set();
+  if (before) {
+    for (const pair of unindexLocation(dataset.indices, before, beforeTown)) touched.add(pair);
+  }
+  if (action === 'create') {
+    dataset.locations.push(after);
+  } else if (action === 'update') {
+    dataset.locations[index] = after;
+  } else {
+    dataset.locations.splice(index, 1);
+  }
+  if (after) {
+    for (const pair of indexLocation(dataset.indices, after, town)) touched.add(pair);
+  }
+  reorderIndexKeys(dataset.indices, touched, dataset.locations);
+
+  dataset.confusion_groups = buildConfusionGroups(dataset.locations);
+  dataset.stats = buildStats(dataset.locations, dataset.indices, dataset.service_area.towns);
+  dataset.updated_at = new Date().toISOString();
+  // content_hash describes a build; an edited dataset no longer matches it
+  delete dataset.content_hash;
+
+  const published = await publishDataset(kv, dataset, {
+    published_by: changed_by,
+    bundle_hash: getBundledDataset().content_hash,
+    note: note || `${action} ${location_id}`
+  });
+  if (!published.ok) {
+    return {
+      ok: false,
+      error: 'DATASET_INVALID',
+      message: `Dataset failed validation with ${published.validation.errors.length} error(s); nothing was published`,
+      ...published.validation
+    };
+  }
+
+  const record = {
+    version: published.active.version,
+    previous_version: version,
+    action,
+    location_id,
+    town: town || beforeTown,
+    changed_by,
+    changed_at: published.active.published_at,
+    note,
+    before,
+    after
+  };
+  await recordChange(kv, record);
+
+  return { ok: true, record, warnings, active: published.active };
+}
+
+/**
+ * Audit trail for one location, newest first
+ */
+export async function getLocationHistory(kv, locationId) {
+  const raw = await kv.get(HISTORY_PREFIX + locationId);
+  return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Recent changes across all locations (no before/after), newest first
+ */
+export async function listRecentChanges(kv) {
+  const raw = await kv.get(CHANGES_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function recordChange(kv, record) {
+  const history = await getLocationHistory(kv, record.location_id);
+  history.unshift(record);
+  await kv.put(HISTORY_PREFIX + record.location_id, JSON.stringify(history.slice(0, MAX_HISTORY_PER_LOCATION)));
+
+  const { before, after, ...summary } = record;
+  const changes = await listRecentChanges(kv);
+  changes.unshift(summary);
+  await kv.put(CHANGES_KEY, JSON.stringify(changes.slice(0, MAX_RECENT_CHANGES)));
+}
+
+// Top-level fields replace, null removes (nested objects are replaced whole)
+function mergeLocation(before, fields) {
+  const merged = { ...before };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+// Same checks the build runs on a town file, for a single location
+function checkLocation(dataset, location, town) {
+  const schemaProblems = validateSchema(townSchema.definitions.location, location, { root: townSchema, path: '$' })
+    .map(({ path, message }) => ({
+      severity: 'error',
+      code: 'SCHEMA',
+      file: null,
+      location_id: location.id ?? null,
+      path,
+      message: `${path} ${message}`
+    }));
+  if (schemaProblems.length > 0) return schemaProblems;
+
+  const townData = dataset.service_area.towns[town];
+  const lintProblems = lintLocations([{
+    file: null,
+    data: {
+      town,
+      town_display: townData.display_name,
+      coordinates: townData.coordinates,
+      radius_miles: townData.radius_miles,
+      boundary: townData.boundary,
+      locations: [location]
+    }
+  }], {
+    accounts: accountsData.accounts,
+    known_ids: dataset.locations.map(loc => loc.id)
+  });
+
+  // The lone location is always at index 0 of the pseudo town file
+  return lintProblems.map(problem => ({ ...problem, path: problem.path?.replace('$.locations[0]', '$') ?? null }));
+}
+
+// Datasets published before by_town existed: file towns by coordinates
+function backfillTownIndex(dataset, db) {
+  if (dataset.indices.by_town) return;
+  dataset.indices.by_town = {};
+  for (const loc of dataset.locations) {
+    const town = db.detectCallerTown(loc.coordinates.lat, loc.coordinates.lng)?.key;
+    if (!town) continue;
+    if (!dataset.indices.by_town[town]) dataset.indices.by_town[town] = [];
+    dataset.indices.by_town[town].push(loc.id);
+  }
+}
@@ -0,0 +1,203 @@
+// src/lib/location-index.js
+// CLAIRE v4.2 - Search indices for the combined location dataset
+// One definition of what goes in each index, used both by combine.js (full
+// build) and by admin edits (incremental add / remove), so the two agree.
+//
+// Every index maps key -> [location ids], ids in dataset order.
+
+import { phoneticKey } from './phonetic.js';
+import { encodeGeohash, GEOHASH_PRECISION } from './geohash.js';
+
+export const INDEX_NAMES = [
+  'by_phonetic',
+  'by_misspelling',
+  'by_category',
+  'by_account',
+  'by_town',
+  'by_sound',
+  'by_keyword_sound',
+  'by_geohash'
+];
+
+// Sound indices hold each id once per key; the others keep one entry per source value
+const DEDUPED = new Set(['by_sound', 'by_keyword_sound']);
+
+export function emptyIndices() {
+  return Object.fromEntries(INDEX_NAMES.map(name => [name, {}]));
+}
+
+/**
+ * Index keys a location contributes, by index name.
+ * @param {Object} loc
+ * @param {string} [town] - Town key the location is filed under
+ * @returns {Object<string, string[]>}
+ */
+export function indexKeys(loc, town = null) {
+  const keys = emptyKeyLists();
+
+  for (const variant of loc.phonetic_variants || []) keys.by_phonetic.push(variant.toLowerCase());
+  for (const misspelling of loc.common_misspellings || []) keys.by_misspelling.push(misspelling.toLowerCase());
+  if (loc.category) keys.by_category.push(loc.category);
+  if (loc.account?.account_id) keys.by_account.push(loc.account.account_id);
+  if (town) keys.by_town.push(town);
+
+  // Geohash grid cell, for nearby lookups
+  if (typeof loc.coordinates?.lat === 'number' && typeof loc.coordinates?.lng === 'number') {
+    keys.by_geohash.push(encodeGeohash(loc.coordinates.lat, loc.coordinates.lng, GEOHASH_PRECISION));
+  }
+
+  // Sound (Metaphone) - names and spoken variants
+  for (const name of soundNames(loc)) {
+    const key = phoneticKey(name);
+    if (key) keys.by_sound.push(key);
+  }
+
+  // Sound - search keywords (shared by design, e.g. "sushi")
+  for (const keyword of loc.search_keywords || []) {
+    const key = phoneticKey(keyword);
+    if (key) keys.by_keyword_sound.push(key);
+  }
+
+  return keys;
+}
+
+/**
+ * Names whose sound keys go in by_sound, in priority order
+ */
+export function soundNames(loc) {
+  return [loc.canonical_name, loc.full_name, ...(loc.phonetic_variants || [])].filter(Boolean);
+}
+
+/**
+ * Append a location to every index it belongs in.
+ * Appending keeps dataset order as long as locations are added in order.
+ * @returns {Set<string>} "index\u0000key" pairs that were touched
+ */
+export function indexLocation(indices, loc, town = null) {
+  const touched = new Set();
+  for (const [name, keys] of Object.entries(indexKeys(loc, town))) {
+    const index = indices[name] || (indices[name] = {});
+    for (const key of keys) {
+      touched.add(`${name}\u0000${key}`);
+      if (!index[key]) index[key] = [];
+      if (DEDUPED.has(name) && index[key].includes(loc.id)) continue;
+      index[key].push(loc.id);
+    }
+  }
+  return touched;
+}
+
+/**
+ * Remove a location from the indices. Keys left empty are dropped.
+ * @returns {Set<string>} "index\u0000key" pairs that were touched
+ */
+export function unindexLocation(indices, loc, town = null) {
+  const touched = new Set();
+  for (const [name, keys] of Object.entries(indexKeys(loc, town))) {
+    const index = indices[name];
+    if (!index) continue;
+    for (const key of keys) {
+      if (!index[key]) continue;
+      index[key] = index[key].filter(id => id !== loc.id);
+      if (index[key].length === 0) delete index[key];
+      touched.add(`${name}\u0000${key}`);
+    }
+  }
+  return touched;
+}
+
+/**
+ * Put the ids of the given index keys back into dataset order, so an
+ * incrementally edited index matches a full rebuild
+ * @param {Object} indices
+ * @param {Iterable<string>} touched - "index\u0000key" pairs
+ * @param {Array<Object>} locations - Dataset order
+ */
+export function reorderIndexKeys(indices, touched, locations) {
+  const position = new Map(locations.map((loc, i) => [loc.id, i]));
+  for (const pair of touched) {
+    const [name, key] = pair.split('\u0000');
+    const list = indices[name]?.[key];
+    if (list && list.length > 1) {
+      list.sort((a, b) => (position.get(a) ?? Infinity) - (position.get(b) ?? Infinity));
+    }
+  }
+}
+
+/**
+ * Full build from scratch
+ * @param {Array<{loc: Object, town: string}>} entries - In dataset order
+ */
+export function buildIndices(entries) {
+  const indices = emptyIndices();
+  for (const { loc, town } of entries) indexLocation(indices, loc, town);
+  return indices;
+}
+
+/**
+ * Pairs of locations that callers confuse, from each location's confusion_matrix
+ */
+export function buildConfusionGroups(locations) {
+  const groups = new Map();
+  for (const loc of locations) {
+    for (const confusion of loc.confusion_matrix || []) {
+      const key = [loc.id, confusion.confused_with].sort().join('|');
+      if (!groups.has(key)) {
+        groups.set(key, {
+          members: [loc.id, confusion.confused_with],
+          disambiguation_script: confusion.disambiguation
+        });
+      }
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Different locations whose names sound alike need a disambiguation
+ * (confusion_matrix) or the sound tier will return both.
+ * Grouped by the set of colliding locations.
+ * @param {Object} indices
+ * @param {Map<string, Object>} byId
+ */
+export function findSoundCollisions(indices, byId) {
+  const groups = new Map();
+  for (const [key, ids] of Object.entries(indices.by_sound || {})) {
+    if (ids.length < 2) continue;
+    const groupKey = [...ids].sort().join('|');
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { locations: [...ids].sort(), keys: [] });
+    }
+    const names = ids.map(id => soundNames(byId.get(id) || {}).find(name => phoneticKey(name) === key));
+    groups.get(groupKey).keys.push({ key, names: [...new Set(names.filter(Boolean))] });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * The stats block of the combined dataset
+ * @param {Array<Object>} locations
+ * @param {Object} indices
+ * @param {Object} towns - service_area.towns
+ */
+export function buildStats(locations, indices, towns) {
+  return {
+    total_locations: locations.length,
+    by_category: Object.entries(indices.by_category).map(([category, ids]) => ({
+      category,
+      count: ids.length
+    })).sort((a, b) => b.count - a.count),
+    by_town: Object.keys(towns).map(town => ({
+      town,
+      display_name: towns[town].display_name,
+      count: locations.filter(loc =>
+        loc.address && loc.address.toLowerCase().includes(towns[town].display_name.toLowerCase())
+      ).length
+    })),
+    phonetic_collisions: findSoundCollisions(indices, new Map(locations.map(loc => [loc.id, loc])))
+  };
+}
+
+function emptyKeyLists() {
+  return Object.fromEntries(INDEX_NAMES.map(name => [name, []]));
+}
@@ -0,0 +1,304 @@
+// src/lib/location-lint.js
+// CLAIRE v4.2 - Schema and cross-reference checks for location data
+// Run by combine.js at build time; the checks are plain functions over parsed
+// town files so they work anywhere the data does.
+//
+// Every problem has the same shape, which is also what the build report lists:
+//   { severity: 'error' | 'warning', code, file, location_id, path, message }
+
+import { validateSchema } from './json-schema.js';
+import { validatePolygon, pointInPolygon } from './geometry.js';
+
+// A location this far past its town radius is almost certainly in the wrong
+// file (towns with a boundary polygon use the polygon instead)
+export const MAX_RADIUS_FACTOR = 2;
+
+// Pickup points are doors of the same building, not other places
+export const MAX_PICKUP_POINT_METERS = 800;
+
+/**
+ * Schema problems for one town file.
+ * @param {Object} data - Parsed town file
+ * @param {Object} schema - town.schema.json
+ * @param {string} [file]
+ */
+export function lintTownSchema(data, schema, file = null) {
+  return validateSchema(schema, data).map(({ path, message }) => ({
+    severity: 'error',
+    code: 'SCHEMA',
+    file,
+    location_id: locationIdAt(data, path),
+    path,
+    message: `${path} ${message}`
+  }));
+}
+
+/**
+ * Cross-reference problems across all town files.
+ * Tolerates files that failed the schema (those are already reported), so one
+ * bad file does not turn every reference into it into an error.
+ * @param {Array<{file: string, data: Object}>} towns - Parsed town files
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.accounts] - accounts-registry.json accounts (skips the account check if omitted)
+ * @param {Iterable<string>} [options.known_ids] - Ids outside `towns` that references may point at
+ */
+export function lintLocations(towns, options = {}) {
+  const problems = [];
+  const report = (severity, code, file, location_id, path, message) =>
+    problems.push({ severity, code, file, location_id, path, message });
+
+  // Ids first, so references can be checked against the full set
+  const owners = new Map();
+  const seenTowns = new Map();
+  for (const { file, data } of towns) {
+    if (seenTowns.has(data.town)) {
+      report('error', 'DUPLICATE_TOWN', file, null, '$.town',
+        `town "${data.town}" is also defined in ${seenTowns.get(data.town)}`);
+    } else {
+      seenTowns.set(data.town, file);
+    }
+
+    data.locations.forEach((loc, i) => {
+      if (typeof loc?.id !== 'string') return;
+      if (owners.has(loc.id)) {
+        report('error', 'DUPLICATE_ID', file, loc.id, `$.locations[${i}].id`,
+          `id "${loc.id}" is already used in ${owners.get(loc.id).file}`);
+      } else {
+        owners.set(loc.id, { file, loc });
+      }
+    });
+  }
+
+  for (const id of options.known_ids || []) {
+    if (!owners.has(id)) owners.set(id, { file: null, loc: null });
+  }
+
+  const accountIds = options.accounts ? new Set(options.accounts.map(a => a.id)) : null;
+  const accountNames = new Map((options.accounts || []).map(a => [a.id, a.name]));
+  const townNames = new Map(towns.map(({ data }) => [String(data.town_display).toLowerCase(), data.town]));
+
+  for (const { file, data } of towns) {
+    let boundary = null;
+    if (data.boundary) {
+      const errors = validatePolygon(data.boundary);
+      if (errors.length > 0) {
+        report('error', 'INVALID_BOUNDARY', file, null, '$.boundary', `boundary ${errors.join('; ')}`);
+      } else {
+        boundary = data.boundary;
+      }
+    }
+
+    const center = data.coordinates;
+    const hasCenter = isPoint(center) && typeof data.radius_miles === 'number';
+
+    data.locations.forEach((loc, i) => {
+      if (!loc || typeof loc !== 'object') return;
+      const at = `$.locations[${i}]`;
+
+      // References to other locations
+      (Array.isArray(loc.confusion_matrix) ? loc.confusion_matrix : []).forEach((confusion, j) => {
+        if (!confusion || typeof confusion !== 'object') return;
+        const path = `${at}.confusion_matrix[${j}].confused_with`;
+        if (confusion.confused_with === loc.id) {
+          report('error', 'SELF_REFERENCE', file, loc.id, path, 'location lists itself in confusion_matrix');
+        } else if (!owners.has(confusion.confused_with)) {
+          report('error', 'UNKNOWN_CONFUSED_WITH', file, loc.id, path,
+            `confused_with "${confusion.confused_with}" is not a known location id`);
+        }
+      });
+
+      if (loc.parent_property !== undefined) {
+        const path = `${at}.parent_property`;
+        if (loc.parent_property === loc.id) {
+          report('error', 'SELF_REFERENCE', file, loc.id, path, 'location is its own parent_property');
+        } else if (!owners.has(loc.parent_property)) {
+          report('error', 'UNKNOWN_PARENT_PROPERTY', file, loc.id, path,
+            `parent_property "${loc.parent_property}" is not a known location id`);
+        }
+      }
+
+      // Accounts must exist in the registry or eligibility can never match
+      if (loc.account?.account_id && accountIds) {
+        const path = `${at}.account.account_id`;
+        if (!accountIds.has(loc.account.account_id)) {
+          report('error', 'UNKNOWN_ACCOUNT', file, loc.id, path,
+            `account_id "${loc.account.account_id}" is not in accounts-registry.json`);
+        } else if (loc.account.account_name && loc.account.account_name !== accountNames.get(loc.account.account_id)) {
+          report('warning', 'ACCOUNT_NAME_MISMATCH', file, loc.id, `${at}.account.account_name`,
+            `account_name "${loc.account.account_name}" differs from registry name "${accountNames.get(loc.account.account_id)}"`);
+        }
+      }
+
+      // Coordinates against the town the file says the location is in
+      const { lat, lng } = isPoint(loc.coordinates) ? loc.coordinates : {};
+      if (lat === undefined) {
+        // Schema error already reported
+      } else if (boundary) {
+        if (!pointInPolygon(lat, lng, boundary)) {
+          report('error', 'OUTSIDE_TOWN_BOUNDARY', file, loc.id, `${at}.coordinates`,
+            `coordinates are outside the ${data.town_display} boundary`);
+        }
+      } else if (hasCenter) {
+        const miles = distanceMiles(lat, lng, center.lat, center.lng);
+        if (miles > data.radius_miles * MAX_RADIUS_FACTOR) {
+          report('error', 'FAR_FROM_TOWN', file, loc.id, `${at}.coordinates`,
+            `coordinates are ${miles.toFixed(1)} mi from ${data.town_display} (radius ${data.radius_miles} mi)`);
+        } else if (miles > data.radius_miles) {
+          report('warning', 'OUTSIDE_TOWN_RADIUS', file, loc.id, `${at}.coordinates`,
+            `coordinates are ${miles.toFixed(1)} mi from ${data.town_display} (radius ${data.radius_miles} mi)`);
+        }
+      }
+
+      if (Array.isArray(loc.pickup_points)) {
+        problems.push(...pickupPointProblems(loc, file, at));
+      }
+
+      if (loc.business_hours && typeof loc.business_hours === 'object') {
+        problems.push(...businessHoursProblems(loc, file, at));
+      }
+
+      // "60 Sunset Dr, Basalt, CO 81621" filed under Woody Creek
+      const addressTown = townFromAddress(loc.address);
+      if (addressTown && addressTown.toLowerCase() !== String(data.town_display).toLowerCase()) {
+        const known = townNames.has(addressTown.toLowerCase());
+        report('warning', 'ADDRESS_TOWN_MISMATCH', file, loc.id, `${at}.address`,
+          `address is in ${addressTown}${known ? ` (${townNames.get(addressTown.toLowerCase())})` : ''}, file is ${data.town_display}`);
+      }
+    });
+  }
+
+  problems.push(...sharedVariantProblems(towns));
+  return problems;
+}
+
+// Unique ids, at most one default, all close to the location's own pin
+function pickupPointProblems(loc, file, at) {
+  const problems = [];
+  const report = (severity, code, path, message) =>
+    problems.push({ severity, code, file, location_id: loc.id, path, message });
+
+  const seen = new Set();
+  const defaults = [];
+  loc.pickup_points.forEach((point, i) => {
+    if (!point || typeof point !== 'object') return;
+    const path = `${at}.pickup_points[${i}]`;
+
+    if (seen.has(point.id)) report('error', 'DUPLICATE_PICKUP_POINT', `${path}.id`, `pickup point "${point.id}" is listed twice`);
+    seen.add(point.id);
+    if (point.default) defaults.push(point.id);
+
+    if (isPoint(point.coordinates) && isPoint(loc.coordinates)) {
+      const meters = distanceMiles(point.coordinates.lat, point.coordinates.lng, loc.coordinates.lat, loc.coordinates.lng) * 1609.344;
+      if (meters > MAX_PICKUP_POINT_METERS) {
+        report('error', 'PICKUP_POINT_FAR', `${path}.coordinates`,
+          `pickup point "${point.id}" is ${Math.round(meters)} m from the location (max ${MAX_PICKUP_POINT_METERS} m)`);
+      }
+    }
+  });
+
+  if (defaults.length > 1) {
+    report('error', 'MULTIPLE_DEFAULT_PICKUP_POINTS', `${at}.pickup_points`, `only one pickup point can be the default (${defaults.join(', ')})`);
+  }
+  return problems;
+}
+
+// Zero-length periods, and seasons must either close or give hours (not both)
+function businessHoursProblems(loc, file, at) {
+  const problems = [];
+  const report = (code, path, message) =>
+    problems.push({ severity: 'error', code, file, location_id: loc.id, path, message });
+
+  const checkPeriods = (weekly, path) => (Array.isArray(weekly) ? weekly : []).forEach((period, i) => {
+    if (period && period.open && period.open === period.close) {
+      report('EMPTY_OPENING_PERIOD', `${path}[${i}]`, `opening period ${period.open}-${period.close} has no length`);
+    }
+  });
+
+  checkPeriods(loc.business_hours.weekly, `${at}.business_hours.weekly`);
+  (Array.isArray(loc.business_hours.seasonal) ? loc.business_hours.seasonal : []).forEach((season, i) => {
+    if (!season || typeof season !== 'object') return;
+    const path = `${at}.business_hours.seasonal[${i}]`;
+    if (!season.closed && !Array.isArray(season.weekly)) {
+      report('SEASON_WITHOUT_HOURS', path, `season "${season.id}" needs either weekly hours or "closed": true`);
+    }
+    if (season.closed && Array.isArray(season.weekly) && season.weekly.length > 0) {
+      report('CONFLICTING_SEASON_HOURS', path, `season "${season.id}" is closed but also lists weekly hours`);
+    }
+    checkPeriods(season.weekly, `${path}.weekly`);
+  });
+  return problems;
+}
+
+/**
+ * Spoken variants / misspellings claimed by several locations with no
+ * confusion_matrix entry between them. One warning per group of locations.
+ */
+function sharedVariantProblems(towns) {
+  const claims = new Map();
+  const linked = new Set();
+  const fileOf = new Map();
+
+  for (const { file, data } of towns) {
+    for (const loc of data.locations) {
+      if (typeof loc?.id !== 'string') continue;
+      fileOf.set(loc.id, file);
+      for (const confusion of Array.isArray(loc.confusion_matrix) ? loc.confusion_matrix : []) {
+        linked.add([loc.id, confusion?.confused_with].sort().join('|'));
+      }
+      for (const variant of [...(loc.phonetic_variants || []), ...(loc.common_misspellings || [])]) {
+        if (typeof variant !== 'string') continue;
+        const key = variant.toLowerCase();
+        if (!claims.has(key)) claims.set(key, new Set());
+        claims.get(key).add(loc.id);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const [variant, ids] of claims) {
+    if (ids.size < 2) continue;
+    const members = [...ids].sort();
+    const allLinked = members.every((a, i) => members.slice(i + 1).every(b => linked.has([a, b].sort().join('|'))));
+    if (allLinked) continue;
+    const key = members.join('|');
+    if (!groups.has(key)) groups.set(key, { members, variants: [] });
+    groups.get(key).variants.push(variant);
+  }
+
+  return [...groups.values()].map(({ members, variants }) => ({
+    severity: 'warning',
+    code: 'SHARED_VARIANT',
+    file: fileOf.get(members[0]),
+    location_id: members[0],
+    path: null,
+    message: `${members.join(', ')} share "${variants.join('", "')}" with no confusion_matrix entry`
+  }));
+}
+
+function isPoint(point) {
+  return typeof point?.lat === 'number' && typeof point?.lng === 'number';
+}
+
+// "123 Main St, Aspen, CO 81611" -> "Aspen"
+function townFromAddress(address) {
+  const parts = String(address || '').split(',').map(part => part.trim());
+  const state = parts.findIndex(part => /^(CO|Colorado)\b/i.test(part));
+  return state > 0 ? parts[state - 1] : null;
+}
+
+// "$.locations[12].coordinates.lat" -> id of locations[12], when it has one
+function locationIdAt(data, path) {
+  const match = /^\$\.locations\[(\d+)\]/.exec(path);
+  const id = match ? data?.locations?.[Number(match[1])]?.id : null;
+  return typeof id === 'string' ? id : null;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const R = 3958.8;
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
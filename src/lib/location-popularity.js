@@ -0,0 +1,276 @@
+// src/lib/location-popularity.js
+// CLAIRE v4.2 - Popularity prior learned from confirmed trips
+// Every booked trip counts once for its pickup and destination (by time of
+// day) and once for the pickup -> destination pair. Counts decay with a
+// half-life, so "City Market" follows where people go now, not last season.
+//
+// Trips are written as one KV key each, so concurrent writers (icabbi-booking
+// and memory-store for the same trip) never overwrite each other's counts; a
+// cron (aggregatePopularity) folds them into the aggregates read at search time.
+//
+// KV keys (CALL_MEMORIES namespace):
+//   locations:popularity:event:<event id> -> '' with metadata
+//     { pickup_location_id, destination_location_id, daypart, at }
+//   locations:popularity -> {
+//     updated_at,
+//     locations: { <id>: { weight, dayparts: { <daypart>: weight }, at } },
+//     pairs:     { <from id>: { <to id>: { weight, at } } },
+//     recent_events: [event ids, newest first]  (so a trip is only counted once)
+//   }
+
+import { localMoment } from './calendar-rules.js';
+import { SERVICE_TZ } from './time-parser.js';
+
+const POPULARITY_KEY = 'locations:popularity';
+const EVENT_PREFIX = 'locations:popularity:event:';
+
+// Unfolded events expire on their own if the cron stops running
+const EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Events folded per cron run (each costs a KV delete)
+const MAX_EVENTS_PER_RUN = 200;
+
+export const HALF_LIFE_DAYS = 30;
+
+// Largest boost a location can get. Smaller than the gap between search
+// tiers (0.05), so popularity reorders within a tier but never past a better match.
+export const MAX_PRIOR_BOOST = 0.04;
+
+// Evidence at which a location gets half of MAX_PRIOR_BOOST
+const HALF_BOOST_EVIDENCE = 10;
+
+// Weight of each signal in the evidence sum
+const DAYPART_WEIGHT = 2;
+const PAIR_WEIGHT = 3;
+
+// Entries decayed below this are dropped on write
+const MIN_WEIGHT = 0.05;
+const MAX_RECENT_EVENTS = 500;
+
+// How often an isolate re-reads the aggregates
+const CACHE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local time-of-day buckets; night wraps midnight
+const DAYPARTS = [
+  { name: 'morning', from: 5 * 60, to: 11 * 60 },
+  { name: 'midday', from: 11 * 60, to: 14 * 60 },
+  { name: 'afternoon', from: 14 * 60, to: 17 * 60 },
+  { name: 'evening', from: 17 * 60, to: 21 * 60 }
+];
+
+let _cached = null;
+let _cachedAt = 0;
+
+/**
+ * Daypart of an instant in the service timezone ('morning' ... 'night')
+ */
+export function daypartOf(instant = new Date(), tz = SERVICE_TZ) {
+  const { minutes } = localMoment(instant, tz);
+  return DAYPARTS.find(part => minutes >= part.from && minutes < part.to)?.name || 'night';
+}
+
+/**
+ * Count one confirmed trip. Writes only the trip's own event key; the same
+ * trip recorded twice (booking and end-of-call memory) writes the same key.
+ * @param {Object} kv
+ * @param {Object} trip
+ * @param {string} [trip.event_id] - Trip id; a repeat is ignored
+ * @param {string} [trip.pickup_location_id]
+ * @param {string} [trip.destination_location_id]
+ * @param {Date|string} [trip.at] - Pickup time (sets the daypart); default now
+ * @returns {Promise<{ recorded: boolean, reason?: string }>}
+ */
+export async function recordConfirmation(kv, trip) {
+  const { event_id = null, pickup_location_id = null, destination_location_id = null } = trip;
+  if (!pickup_location_id && !destination_location_id) {
+    return { recorded: false, reason: 'no_location' };
+  }
+
+  const now = new Date();
+  const id = event_id || `anon:${now.getTime()}-${Math.random().toString(16).slice(2)}`;
+  await kv.put(`${EVENT_PREFIX}${id}`, '', {
+    expirationTtl: EVENT_TTL_SECONDS,
+    metadata: {
+      pickup_location_id,
+      destination_location_id,
+      daypart: daypartOf(trip.at ? new Date(trip.at) : now),
+      at: now.toISOString()
+    }
+  });
+  return { recorded: true };
+}
+
+/**
+ * Fold recorded trips into the aggregates (scheduled, never on a request).
+ * Events already counted are skipped and every folded key is deleted.
+ * @param {Object} kv
+ * @returns {Promise<{ folded: number, duplicates: number }>}
+ */
+export async function aggregatePopularity(kv) {
+  const events = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: EVENT_PREFIX, cursor, limit: MAX_EVENTS_PER_RUN });
+    events.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && events.length < MAX_EVENTS_PER_RUN);
+
+  const batch = events.slice(0, MAX_EVENTS_PER_RUN);
+  if (batch.length === 0) return { folded: 0, duplicates: 0 };
+
+  const doc = await readAggregates(kv);
+  const now = new Date();
+  const counted = new Set(doc.recent_events);
+  let folded = 0;
+
+  // Oldest first, so recent_events stays newest first
+  batch.sort((a, b) => String(a.metadata?.at).localeCompare(String(b.metadata?.at)));
+  for (const { name, metadata } of batch) {
+    const id = name.slice(EVENT_PREFIX.length);
+    if (counted.has(id) || !metadata) continue;
+    foldEvent(doc, metadata, now);
+    counted.add(id);
+    if (!id.startsWith('anon:')) doc.recent_events.unshift(id);
+    folded++;
+  }
+
+  doc.recent_events = doc.recent_events.slice(0, MAX_RECENT_EVENTS);
+  doc.updated_at = now.toISOString();
+  await kv.put(POPULARITY_KEY, JSON.stringify(prune(doc, now)));
+  await Promise.all(batch.map(({ name }) => kv.delete(name)));
+
+  _cached = null;
+  return { folded, duplicates: batch.length - folded };
+}
+
+// One trip, weighted by how long ago it was booked
+function foldEvent(doc, event, now) {
+  const { pickup_location_id, destination_location_id, daypart } = event;
+  const weight = decayed(1, event.at || now, now);
+
+  for (const id of new Set([pickup_location_id, destination_location_id].filter(Boolean))) {
+    const entry = decayLocation(doc.locations[id], now);
+    entry.weight += weight;
+    entry.dayparts[daypart] = (entry.dayparts[daypart] || 0) + weight;
+    doc.locations[id] = entry;
+  }
+
+  if (pickup_location_id && destination_location_id && pickup_location_id !== destination_location_id) {
+    const pairs = doc.pairs[pickup_location_id] || (doc.pairs[pickup_location_id] = {});
+    const pair = pairs[destination_location_id];
+    pairs[destination_location_id] = {
+      weight: (pair ? decayed(pair.weight, pair.at, now) : 0) + weight,
+      at: now.toISOString()
+    };
+  }
+}
+
+/**
+ * The prior for search ranking, or null without KV.
+ * Cached per isolate; a KV problem just means no prior.
+ * @returns {Promise<PopularityPrior|null>}
+ */
+export async function loadPopularityPrior(env = {}) {
+  const kv = env.CALL_MEMORIES;
+  if (!kv) return null;
+  if (_cached && Date.now() - _cachedAt < CACHE_MS) return _cached;
+
+  try {
+    _cached = new PopularityPrior(await readAggregates(kv));
+    _cachedAt = Date.now();
+    return _cached;
+  } catch (error) {
+    console.error('[Popularity] Load failed, ranking without prior:', error);
+    return null;
+  }
+}
+
+export class PopularityPrior {
+  /**
+   * @param {Object} doc - The locations:popularity aggregates
+   */
+  constructor(doc) {
+    this.locations = doc.locations || {};
+    this.pairs = doc.pairs || {};
+  }
+
+  /**
+   * Ranking boost for one location
+   * @param {string} locationId
+   * @param {Object} [context]
+   * @param {Date} [context.instant] - When the trip happens (daypart)
+   * @param {string} [context.after_location_id] - Pickup already chosen, for pair counts
+   * @returns {{ boost, confirmations, at_this_time, after_pickup, daypart }}
+   */
+  boost(locationId, { instant = new Date(), after_location_id = null } = {}) {
+    const now = new Date();
+    const daypart = daypartOf(instant);
+
+    const entry = this.locations[locationId];
+    const confirmations = entry ? decayed(entry.weight, entry.at, now) : 0;
+    const atThisTime = entry ? decayed(entry.dayparts?.[daypart] || 0, entry.at, now) : 0;
+    const pair = after_location_id ? this.pairs[after_location_id]?.[locationId] : null;
+    const afterPickup = pair ? decayed(pair.weight, pair.at, now) : 0;
+
+    const evidence = confirmations + DAYPART_WEIGHT * atThisTime + PAIR_WEIGHT * afterPickup;
+    return {
+      boost: round(MAX_PRIOR_BOOST * evidence / (evidence + HALF_BOOST_EVIDENCE), 4),
+      confirmations: round(confirmations, 2),
+      at_this_time: round(atThisTime, 2),
+      after_pickup: round(afterPickup, 2),
+      daypart
+    };
+  }
+}
+
+async function readAggregates(kv) {
+  const raw = await kv.get(POPULARITY_KEY);
+  const doc = raw ? JSON.parse(raw) : {};
+  return {
+    updated_at: doc.updated_at || null,
+    locations: doc.locations || {},
+    pairs: doc.pairs || {},
+    recent_events: doc.recent_events || []
+  };
+}
+
+// Bring a location entry forward to `now` so new counts add at full weight
+function decayLocation(entry, now) {
+  if (!entry) return { weight: 0, dayparts: {}, at: now.toISOString() };
+  const factor = decayFactor(entry.at, now);
+  return {
+    weight: entry.weight * factor,
+    dayparts: Object.fromEntries(Object.entries(entry.dayparts || {}).map(([part, w]) => [part, w * factor])),
+    at: now.toISOString()
+  };
+}
+
+function decayed(weight, at, now) {
+  return weight * decayFactor(at, now);
+}
+
+function decayFactor(at, now) {
+  const ageDays = Math.max(0, (now.getTime() - new Date(at).getTime()) / DAY_MS);
+  return Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+}
+
+// Drop what has decayed to nothing so the aggregate stays small
+function prune(doc, now) {
+  for (const [id, entry] of Object.entries(doc.locations)) {
+    if (decayed(entry.weight, entry.at, now) < MIN_WEIGHT) delete doc.locations[id];
+  }
+  for (const [from, targets] of Object.entries(doc.pairs)) {
+    for (const [to, pair] of Object.entries(targets)) {
+      if (decayed(pair.weight, pair.at, now) < MIN_WEIGHT) delete targets[to];
+    }
+    if (Object.keys(targets).length === 0) delete doc.pairs[from];
+  }
+  return doc;
+}
+
+function round(n, places) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
@@ -0,0 +1,242 @@
+// src/lib/location-store.js
+// CLAIRE v4.2 - Versioned location datasets in KV
+// Lets ops publish a new combined dataset (output of combine.js) without a redeploy.
+//
+// KV keys (CALL_MEMORIES namespace):
+//   locations:active             -> { version, published_at, published_by, bundle_hash }
+//   locations:versions           -> [{ version, published_at, published_by, note, total_locations }]
+//   locations:version:<version>  -> full combined dataset
+
+import townSchema from '../data/locations/town.schema.json';
+import { validatePolygon } from './geometry.js';
+import { validateSchema } from './json-schema.js';
+
+const ACTIVE_KEY = 'locations:active';
+const VERSIONS_KEY = 'locations:versions';
+const versionKey = version => `locations:version:${version}`;
+
+// How many published datasets to keep for rollback
+const MAX_VERSIONS = 10;
+
+/**
+ * Check a combined dataset before it can be published.
+ * Returns { valid, errors, warnings, stats }.
+ */
+export function validateDataset(dataset) {
+  const errors = [];
+  const warnings = [];
+
+  if (!dataset || typeof dataset !== 'object') {
+    return { valid: false, errors: ['Dataset must be a JSON object'], warnings, stats: null };
+  }
+
+  const locations = dataset.locations;
+  if (!Array.isArray(locations) || locations.length === 0) {
+    errors.push('locations must be a non-empty array');
+    return { valid: false, errors, warnings, stats: null };
+  }
+
+  const ids = new Set();
+  locations.forEach((loc, i) => {
+    const where = loc?.id ? `location '${loc.id}'` : `locations[${i}]`;
+
+    if (!loc || typeof loc !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (!loc.id || typeof loc.id !== 'string') {
+      errors.push(`${where}: missing id`);
+    } else if (ids.has(loc.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      ids.add(loc.id);
+    }
+
+    // Same location schema the build checks town files against
+    for (const problem of validateSchema(townSchema.definitions.location, loc, { root: townSchema, path: where })) {
+      errors.push(`${problem.path}: ${problem.message}`);
+    }
+  });
+
+  // Indices must only point at known locations
+  const indices = dataset.indices;
+  if (!indices || typeof indices !== 'object') {
+    errors.push('indices object is missing (run combine.js to build it)');
+  } else {
+    for (const [indexName, index] of Object.entries(indices)) {
+      if (!index || typeof index !== 'object') {
+        errors.push(`indices.${indexName} must be an object`);
+        continue;
+      }
+      for (const [key, list] of Object.entries(index)) {
+        if (!Array.isArray(list)) {
+          errors.push(`indices.${indexName}['${key}'] must be an array of ids`);
+          continue;
+        }
+        const unknown = list.filter(id => !ids.has(id));
+        if (unknown.length) {
+          errors.push(`indices.${indexName}['${key}'] references unknown ids: ${unknown.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  // Towns drive detectCallerTown
+  const towns = dataset.service_area?.towns;
+  if (!towns || typeof towns !== 'object' || Object.keys(towns).length === 0) {
+    errors.push('service_area.towns is missing or empty');
+  } else {
+    for (const [key, town] of Object.entries(towns)) {
+      if (typeof town?.coordinates?.lat !== 'number' || typeof town?.coordinates?.lng !== 'number') {
+        errors.push(`town '${key}': missing coordinates`);
+      }
+      if (typeof town?.radius_miles !== 'number' || town.radius_miles <= 0) {
+        errors.push(`town '${key}': radius_miles must be a positive number`);
+      }
+      if (town?.boundary) {
+        for (const problem of validatePolygon(town.boundary)) {
+          errors.push(`town '${key}': boundary ${problem}`);
+        }
+      }
+    }
+  }
+
+  for (const group of dataset.confusion_groups || []) {
+    const unknown = (group.members || []).filter(id => !ids.has(id));
+    if (unknown.length) {
+      errors.push(`confusion group [${(group.members || []).join(', ')}] references unknown ids: ${unknown.join(', ')}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    stats: {
+      total_locations: locations.length,
+      towns: towns ? Object.keys(towns).length : 0,
+      phonetic_variants: Object.keys(indices?.by_phonetic || {}).length,
+      sound_keys: Object.keys(indices?.by_sound || {}).length,
+      confusion_groups: (dataset.confusion_groups || []).length
+    }
+  };
+}
+
+/**
+ * Pointer to the active KV dataset, or null when the bundled copy is in use
+ */
+export async function getActivePointer(kv) {
+  const raw = await kv.get(ACTIVE_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Whether the active KV version should be served instead of the bundled copy.
+ * Each publish or rollback records the content hash of the bundle deployed at
+ * the time; a later deploy only takes over when its data differs from that
+ * bundle (edited town files), never on a code-only deploy. Pointers or builds
+ * without a hash keep the KV version.
+ */
+export function supersedesBundle(active, bundled) {
+  if (!active?.version) return false;
+  if (!active.bundle_hash || !bundled?.content_hash) return true;
+  return active.bundle_hash === bundled.content_hash;
+}
+
+/**
+ * Load a published dataset by version
+ */
+export async function getDatasetVersion(kv, version) {
+  const raw = await kv.get(versionKey(version));
+  return raw ? JSON.parse(raw) : null;
+}
+
+export async function listVersions(kv) {
+  const raw = await kv.get(VERSIONS_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Validate and publish a dataset, making it the active version.
+ * bundle_hash is the content_hash of the currently deployed bundle (see supersedesBundle).
+ * Throws nothing for invalid data - returns { ok: false, validation }.
+ */
+export async function publishDataset(kv, dataset, { published_by = 'unknown', note = null, bundle_hash = null } = {}) {
+  const validation = validateDataset(dataset);
+  if (!validation.valid) {
+    return { ok: false, validation };
+  }
+
+  const now = new Date();
+  const version = `v${now.getTime()}`;
+  const entry = {
+    version,
+    published_at: now.toISOString(),
+    published_by,
+    note,
+    total_locations: validation.stats.total_locations
+  };
+
+  await kv.put(versionKey(version), JSON.stringify({ ...dataset, version }));
+
+  let versions = await listVersions(kv);
+  versions.unshift(entry);
+
+  // Drop datasets that fall off the rollback window
+  const expired = versions.slice(MAX_VERSIONS);
+  versions = versions.slice(0, MAX_VERSIONS);
+  await Promise.all(expired.map(v => kv.delete(versionKey(v.version))));
+
+  await kv.put(VERSIONS_KEY, JSON.stringify(versions));
+  await kv.put(ACTIVE_KEY, JSON.stringify({ version, published_at: entry.published_at, published_by, bundle_hash }));
+
+  return { ok: true, active: entry, validation };
+}
+
+/**
+ * Point the active dataset at an earlier version.
+ * version = 'bundled' drops back to the copy shipped with the Worker;
+ * no version means the one published before the current active one
+ * (or the bundled copy when nothing older is in KV).
+ */
+export async function rollbackDataset(kv, { version = null, published_by = 'unknown', bundle_hash = null } = {}) {
+  const active = await getActivePointer(kv);
+  const versions = await listVersions(kv);
+
+  if (!version) {
+    if (!active) {
+      return { ok: false, error: 'ALREADY_BUNDLED', available: versions.map(v => v.version) };
+    }
+    // Nothing older in KV: the bundled copy is the previous version
+    const idx = versions.findIndex(v => v.version === active.version);
+    if (idx < 0 || idx === versions.length - 1) version = 'bundled';
+  }
+
+  if (version === 'bundled') {
+    await kv.delete(ACTIVE_KEY);
+    return { ok: true, active: null, previous: active?.version || null };
+  }
+
+  const target = version
+    ? versions.find(v => v.version === version)
+    : versions[versions.findIndex(v => v.version === active.version) + 1];
+
+  if (!target) {
+    return { ok: false, error: 'VERSION_NOT_FOUND', available: versions.map(v => v.version) };
+  }
+
+  const dataset = await getDatasetVersion(kv, target.version);
+  if (!dataset) {
+    return { ok: false, error: 'VERSION_DATA_MISSING', version: target.version };
+  }
+
+  await kv.put(ACTIVE_KEY, JSON.stringify({
+    version: target.version,
+    published_at: new Date().toISOString(),
+    published_by,
+    bundle_hash,
+    rolled_back_from: active?.version || null
+  }));
+
+  return { ok: true, active: target, previous: active?.version || null };
+}
@@ -0,0 +1,136 @@
+// src/lib/phonetic.js
+// CLAIRE v4.2 - Sound-alike keys for location names (Metaphone)
+// Shared by the build (combine.js) and LocationDatabase.search so both
+// sides encode names and transcripts the same way.
+
+const VOWELS = 'AEIOU';
+const FRONT_VOWELS = 'EIY';
+const VARSON = 'CSPTG'; // letters after which H is silent
+
+// Filler words that speech-to-text adds or drops freely
+const STOP_WORDS = new Set(['the', 'a', 'an', 'at', 'of']);
+
+/**
+ * Metaphone code for a single word (letters only; digits pass through)
+ */
+export function metaphone(word) {
+  let w = String(word || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!w) return '';
+  if (/^\d+$/.test(w)) return w;
+
+  // Collapse doubled letters except C
+  w = w.replace(/([A-BD-Z])\1+/g, '$1');
+
+  // Initial exceptions
+  if (/^(KN|GN|PN|AE|WR)/.test(w)) w = w.slice(1);
+  if (w[0] === 'X') w = 'S' + w.slice(1);
+  if (w.startsWith('WH')) w = 'W' + w.slice(2);
+
+  const at = i => w[i] || '';
+  const isVowel = ch => ch !== '' && VOWELS.includes(ch);
+  let code = '';
+
+  for (let i = 0; i < w.length; i++) {
+    const ch = w[i];
+    const prev = at(i - 1);
+    const next = at(i + 1);
+    const next2 = at(i + 2);
+
+    if (/\d/.test(ch)) {
+      code += ch;
+      continue;
+    }
+
+    switch (ch) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) code += ch;
+        break;
+
+      case 'B':
+        if (!(prev === 'M' && i === w.length - 1)) code += 'B';
+        break;
+
+      case 'C':
+        if (next === 'I' && next2 === 'A') code += 'X';
+        else if (next === 'H') code += prev === 'S' ? 'K' : 'X';
+        else if (FRONT_VOWELS.includes(next) && next !== '') code += prev === 'S' ? '' : 'S';
+        else code += 'K';
+        break;
+
+      case 'D':
+        code += next === 'G' && FRONT_VOWELS.includes(next2) && next2 !== '' ? 'J' : 'T';
+        break;
+
+      case 'G':
+        if (next === 'H' && !(i + 2 >= w.length || isVowel(next2))) break;
+        if (next === 'N' && (i + 2 === w.length || (next2 === 'E' && at(i + 3) === 'D' && i + 4 === w.length))) break;
+        if (prev === 'D' && FRONT_VOWELS.includes(next) && next !== '') break;
+        code += FRONT_VOWELS.includes(next) && next !== '' && prev !== 'G' ? 'J' : 'K';
+        break;
+
+      case 'H':
+        if (isVowel(next) && !VARSON.includes(prev || '#')) code += 'H';
+        break;
+
+      case 'K':
+        if (prev !== 'C') code += 'K';
+        break;
+
+      case 'P':
+        code += next === 'H' ? 'F' : 'P';
+        break;
+
+      case 'Q':
+        code += 'K';
+        break;
+
+      case 'S':
+        if (next === 'H' || (next === 'I' && (next2 === 'O' || next2 === 'A'))) code += 'X';
+        else code += 'S';
+        break;
+
+      case 'T':
+        if (next === 'I' && (next2 === 'O' || next2 === 'A')) code += 'X';
+        else if (next === 'H') code += '0';
+        else if (!(next === 'C' && next2 === 'H')) code += 'T';
+        break;
+
+      case 'V':
+        code += 'F';
+        break;
+
+      case 'W': case 'Y':
+        if (isVowel(next)) code += ch;
+        break;
+
+      case 'X':
+        code += 'KS';
+        break;
+
+      case 'Z':
+        code += 'S';
+        break;
+
+      default:
+        // F, J, L, M, N, R
+        code += ch;
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Phonetic key for a whole phrase: one Metaphone code per word, filler words dropped.
+ * "Hotel Jerome" -> "HTL JRM", "hotel jerom" -> "HTL JRM"
+ */
+export function phoneticKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(metaphone)
+    .filter(Boolean)
+    .join(' ');
+}
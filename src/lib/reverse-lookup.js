@@ -0,0 +1,75 @@
+// src/lib/reverse-lookup.js
+// CLAIRE v4.2 - Coordinate -> known place, Google only as a fallback
+// Lets greetings and callbacks say "the St. Regis" instead of a street address.
+
+import { loadLocationDatabase } from './location-db.js';
+import { reverseGeocode } from './google-api.js';
+
+/**
+ * Resolve a coordinate to a place name.
+ * @param {Object} env - Worker env (CALL_MEMORIES, GOOGLE_MAPS_API_KEY)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} [options]
+ * @param {number} [options.tolerance_meters] - Override the per-category snap distance
+ * @param {boolean} [options.allow_google=true] - Fall back to Google reverse geocoding
+ * @returns {Promise<Object>} { matched, source: 'local_db' | 'google_maps' | null, ... }
+ */
+export async function reverseLookup(env, lat, lng, options = {}) {
+  const { tolerance_meters = null, allow_google = true } = options;
+
+  const db = await loadLocationDatabase(env);
+  const match = db.reverseMatch(lat, lng, { tolerance_meters });
+
+  if (match) {
+    const { location } = match;
+    return {
+      matched: true,
+      source: 'local_db',
+      location_id: location.id,
+      name: location.canonical_name,
+      address: location.address,
+      category: location.category,
+      lat: location.coordinates.lat,
+      lng: location.coordinates.lng,
+      distance_meters: match.distance_meters,
+      tolerance_meters: match.tolerance_meters,
+      dataset_version: db.version
+    };
+  }
+
+  if (allow_google && env.GOOGLE_MAPS_API_KEY) {
+    try {
+      const formatted = await reverseGeocode(lat, lng, env.GOOGLE_MAPS_API_KEY);
+      if (formatted) {
+        return {
+          matched: true,
+          source: 'google_maps',
+          location_id: null,
+          name: null,
+          address: formatted,
+          category: null,
+          lat,
+          lng,
+          distance_meters: null,
+          tolerance_meters: null,
+          dataset_version: db.version
+        };
+      }
+    } catch (error) {
+      console.error('[reverse-lookup] Google reverse geocode failed:', error);
+    }
+  }
+
+  return { matched: false, source: null, lat, lng, dataset_version: db.version };
+}
+
+/**
+ * How Claire should refer to a reverse lookup result
+ */
+export function spokenPlace(result) {
+  if (!result?.matched) return null;
+  if (result.name) return result.name;
+  // "303 E Main St, Aspen, CO 81611, USA" -> "303 E Main St"
+  return result.address ? result.address.split(',')[0].trim() : null;
+}
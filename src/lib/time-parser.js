@@ -0,0 +1,504 @@
+// src/lib/time-parser.js
+// CLAIRE v4.2 - Natural-language pickup time parsing
+// Wall-clock phrases are read in the service timezone (DST-aware, no external deps)
+
+export const SERVICE_TZ = 'America/Denver';
+
+const ASAP_LEAD_MINUTES = 2;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBR = { sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6 };
+
+const SMALL_NUMBERS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50 };
+
+// Part-of-day words and the meridiem they imply
+const PERIODS = {
+  morning: 'am',
+  afternoon: 'pm',
+  evening: 'pm',
+  night: 'pm',
+  tonight: 'pm'
+};
+
+const CLARIFY = {
+  meridiem: (h, mi, dayLabel) =>
+    `Is that ${clock(h, mi)} in the morning or in the evening${dayLabel ? ` ${dayLabel}` : ''}?`,
+  time_missing: dayLabel => `What time ${dayLabel || 'would you like to be picked up'}?`,
+  next_weekday: (dayName, dateText) => `Just to confirm, next ${dayName} is ${dateText}?`,
+  time_in_past: (text, dayLabel) =>
+    `${text} ${dayLabel || 'today'} has already passed. What time would you like to be picked up?`,
+  repeated_local_time: (h, mi) =>
+    `${clock(h, mi)} happens twice tonight because of the clock change. Do you mean the first one?`
+};
+
+/**
+ * Parse a spoken or typed pickup time.
+ *
+ * Understands epochs, ISO strings, "now/asap", "in N minutes/hours",
+ * "tomorrow at 6:15", "tonight at 9", "Friday morning at 7", "noon",
+ * "half past eight", "quarter to nine", "six thirty pm", etc.
+ *
+ * Returns { ok: true, iso, local_text, kind, ambiguity, needs_clarification,
+ * clarification_question, alternatives, notes } or { ok: false, error, ... }.
+ * `ambiguity` lists reasons Claire should confirm (e.g. 'meridiem' for a bare "8");
+ * `iso` is always the best guess so callers can still proceed.
+ */
+export function parsePickupTime(input, options = {}) {
+  const { tz = SERVICE_TZ, now = new Date() } = options;
+
+  if (input == null || String(input).trim() === '') {
+    return { ok: false, error: 'EMPTY_TIME', needs_clarification: true, clarification_question: CLARIFY.time_missing() };
+  }
+
+  const text = String(input).trim();
+  const nowMs = now.getTime();
+
+  // Epoch seconds / milliseconds
+  if (/^\d{10}$/.test(text)) return result(new Date(parseInt(text, 10) * 1000), 'epoch', tz);
+  if (/^\d{13}$/.test(text)) return result(new Date(parseInt(text, 10)), 'epoch', tz);
+
+  // ISO with explicit offset is taken as-is
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const d = new Date(text);
+    if (!isNaN(d.getTime())) return result(d, 'iso', tz);
+  }
+
+  // ISO-ish wall clock: "YYYY-MM-DD HH:MM" or "YYYY-MM-DD"
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ t](\d{2}):(\d{2}))?$/i);
+  if (m) {
+    const resolved = resolveLocal(tz, +m[1], +m[2], +m[3], m[4] ? +m[4] : 0, m[5] ? +m[5] : 0);
+    return result(new Date(resolved.utcMs), 'iso', tz, { notes: resolved.notes });
+  }
+
+  const s = normalizeText(text);
+
+  if (/^(now|right now|asap|as soon as possible|immediately|right away|soon)$/.test(s)) {
+    return result(new Date(nowMs + ASAP_LEAD_MINUTES * 60000), 'asap', tz);
+  }
+
+  // Relative offsets
+  const rel = parseRelative(s);
+  if (rel != null) {
+    return result(new Date(nowMs + rel * 60000), 'relative', tz);
+  }
+
+  return parseAbsolute(s, tz, now);
+}
+
+// ----------------------------------------------------------------------------
+// Relative: "in 20 minutes", "in an hour", "in half an hour", "in 1.5 hours"
+// ----------------------------------------------------------------------------
+
+function parseRelative(s) {
+  if (/^in (half an|a half) hour$/.test(s)) return 30;
+  if (/^in (an|one) hour and a half$/.test(s)) return 90;
+
+  const m = s.match(/^in (?:about |around )?(\S+(?: \S+)?) (minutes?|mins?|hours?|hrs?)$/);
+  if (!m) return null;
+
+  let amount = /^\d+(\.\d+)?$/.test(m[1]) ? parseFloat(m[1]) : wordsToNumber(m[1]);
+  if (m[1] === 'an' || m[1] === 'a') amount = 1;
+  if (m[1] === 'a few' || m[1] === 'few') amount = 5;
+  if (amount == null || isNaN(amount)) return null;
+
+  const perUnit = /^h/.test(m[2]) ? 60 : 1;
+  return Math.round(amount * perUnit);
+}
+
+// ----------------------------------------------------------------------------
+// Absolute: optional day + optional part-of-day + time of day
+// ----------------------------------------------------------------------------
+
+function parseAbsolute(s, tz, now) {
+  const today = localParts(tz, now);
+  let rest = ` ${s} `;
+  const ambiguity = [];
+  const notes = [];
+
+  // --- Day ---
+  let dayOffset = null;
+  let dayLabel = null;
+  let dayExplicit = false;
+  let sameWeekday = false;
+
+  // Longer phrase first: "day after tomorrow" also contains "tomorrow"
+  if (/ (the )?day after (tomorrow|tmrw|tomorow) /.test(rest)) {
+    dayOffset = 2;
+    dayLabel = 'the day after tomorrow';
+    rest = rest.replace(/ (the )?day after (tomorrow|tmrw|tomorow) /, ' ');
+  } else if (/ (tomorrow|tmrw|tomorow) /.test(rest)) {
+    dayOffset = 1;
+    dayLabel = 'tomorrow';
+    rest = rest.replace(/ (tomorrow|tmrw|tomorow) /, ' ');
+  } else if (/ today /.test(rest)) {
+    dayOffset = 0;
+    dayLabel = 'today';
+    rest = rest.replace(/ today /, ' ');
+  }
+
+  const wd = rest.match(/ (this |next |on |coming )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thur?s?|fri|sat) /);
+  if (wd && dayOffset == null) {
+    const target = WEEKDAYS.includes(wd[2]) ? WEEKDAYS.indexOf(wd[2]) : WEEKDAY_ABBR[wd[2]];
+    const todayDow = weekday(today.year, today.month, today.day);
+    let diff = (target - todayDow + 7) % 7;
+    if (wd[1] === 'next ') {
+      if (diff === 0) diff = 7;
+      ambiguity.push('next_weekday');
+    }
+    dayOffset = diff;
+    sameWeekday = diff === 0;
+    dayExplicit = true;
+    dayLabel = `on ${capitalize(WEEKDAYS[target])}`;
+    rest = rest.replace(wd[0], ' ');
+  } else if (dayOffset != null) {
+    dayExplicit = true;
+  }
+
+  // --- Part of day ---
+  let period = null;
+  const pm = rest.match(/ (?:this |in the |at )?(morning|afternoon|evening|night|tonight) /);
+  if (pm) {
+    period = pm[1];
+    if (period === 'tonight' && dayOffset == null) {
+      dayOffset = 0;
+      dayLabel = 'tonight';
+    }
+    rest = rest.replace(pm[0], ' ');
+  }
+
+  // --- Time of day ---
+  rest = rest.replace(/\b(at|around|about|by|for|pickup|pick up|please)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  const time = parseClock(rest);
+
+  if (!time) {
+    if (rest === '' && (dayOffset != null || period)) {
+      return {
+        ok: false,
+        error: 'TIME_REQUIRED',
+        needs_clarification: true,
+        clarification_question: CLARIFY.time_missing(dayLabel || `in the ${period}`)
+      };
+    }
+    return { ok: false, error: 'UNPARSEABLE_TIME', input: s };
+  }
+
+  // --- Meridiem ---
+  let { hour, minute } = time;
+  let meridiem = time.meridiem || (period ? PERIODS[period] : null);
+  let meridiemGuessed = false;
+
+  if (time.fixed) {
+    // noon / midnight
+  } else if (hour > 12 || hour === 0) {
+    // 24-hour clock, already unambiguous
+    meridiem = null;
+  } else if (meridiem) {
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    // "tonight at 1" / "tonight at 12" mean after midnight
+    const lateNight = (period === 'tonight' || period === 'night') && !time.meridiem;
+    if (lateNight && (hour === 12 || (hour >= 13 && hour <= 16))) {
+      hour = hour === 12 ? 0 : hour - 12;
+      dayOffset = (dayOffset ?? 0) + 1;
+      notes.push('after_midnight');
+    }
+  } else {
+    ambiguity.push('meridiem');
+    meridiemGuessed = true;
+  }
+
+  // --- Resolve candidates ---
+  const baseOffset = dayOffset ?? 0;
+  const build = (h, offset) => {
+    const date = addDays(today.year, today.month, today.day, offset);
+    return { ...resolveLocal(tz, date.year, date.month, date.day, h, minute), dayOffset: offset };
+  };
+
+  let chosen;
+  const alternatives = [];
+
+  if (meridiemGuessed) {
+    const amHour = hour === 12 ? 0 : hour;
+    const pmHour = hour === 12 ? 12 : hour + 12;
+
+    if (dayExplicit || dayOffset != null) {
+      // Day is fixed: lean to morning for 5-11, afternoon/evening otherwise,
+      // unless that reading has already passed today and the other hasn't
+      const am = build(amHour, baseOffset);
+      const pmC = build(pmHour, baseOffset);
+      let preferAm = hour >= 5 && hour <= 11;
+      if (preferAm && am.utcMs <= now.getTime() && pmC.utcMs > now.getTime()) preferAm = false;
+      chosen = preferAm ? am : pmC;
+      alternatives.push(preferAm ? pmC : am);
+    } else {
+      // No day: the next occurrence of either reading
+      const options = [
+        build(amHour, 0), build(pmHour, 0), build(amHour, 1), build(pmHour, 1)
+      ].filter(c => c.utcMs > now.getTime()).sort((a, b) => a.utcMs - b.utcMs);
+      chosen = options[0];
+      alternatives.push(options[1]);
+      if (chosen.dayOffset > 0) notes.push('rolled_to_tomorrow');
+    }
+  } else {
+    chosen = build(hour, baseOffset);
+    if (dayOffset == null && chosen.utcMs <= now.getTime()) {
+      chosen = build(hour, 1);
+      notes.push('rolled_to_tomorrow');
+    }
+  }
+
+  // "Friday at 7" said on Friday after 7 means next Friday
+  if (sameWeekday && chosen.utcMs <= now.getTime()) {
+    chosen = build(chosen.local.hour, 7);
+    alternatives.length = 0;
+    notes.push('rolled_to_next_week');
+  }
+
+  notes.push(...chosen.notes);
+  if (chosen.notes.includes('repeated_local_time')) ambiguity.push('repeated_local_time');
+
+  // "Today at 7am" at 4pm: ask rather than send a car now
+  if (dayOffset != null && dayOffset === 0 && chosen.utcMs <= now.getTime()) {
+    notes.push('time_in_past');
+    ambiguity.push('time_in_past');
+  }
+
+  // --- Clarification question ---
+  let question = null;
+  if (ambiguity.includes('meridiem')) {
+    question = CLARIFY.meridiem(time.hour, minute, dayLabel);
+  } else if (ambiguity.includes('next_weekday')) {
+    question = CLARIFY.next_weekday(
+      capitalize(WEEKDAYS[weekday(chosen.local.year, chosen.local.month, chosen.local.day)]),
+      formatLocal(new Date(chosen.utcMs), tz, { weekday: 'long', month: 'long', day: 'numeric' })
+    );
+  } else if (ambiguity.includes('time_in_past')) {
+    question = CLARIFY.time_in_past(formatLocal(new Date(chosen.utcMs), tz, { hour: 'numeric', minute: '2-digit' }), dayLabel);
+  } else if (ambiguity.includes('repeated_local_time')) {
+    question = CLARIFY.repeated_local_time(chosen.local.hour, minute);
+  }
+
+  return result(new Date(chosen.utcMs), 'absolute', tz, {
+    ambiguity,
+    notes,
+    question,
+    alternatives: alternatives.filter(Boolean).map(a => ({
+      iso: new Date(a.utcMs).toISOString(),
+      local_text: formatLocal(new Date(a.utcMs), tz)
+    }))
+  });
+}
+
+/**
+ * Read a time of day from what's left after day/period words are removed.
+ * Returns { hour, minute, meridiem?, fixed? } with hour as spoken (1-12 or 0-23).
+ */
+function parseClock(s) {
+  if (!s) return null;
+
+  if (/^(noon|midday|12 noon)$/.test(s)) return { hour: 12, minute: 0, fixed: true };
+  if (/^midnight$/.test(s)) return { hour: 0, minute: 0, fixed: true };
+
+  let meridiem = null;
+  const mer = s.match(/\s*\b(a\.?m\.?|p\.?m\.?)$/);
+  if (mer) {
+    meridiem = mer[1].startsWith('a') ? 'am' : 'pm';
+    s = s.slice(0, mer.index).trim();
+  }
+  s = s.replace(/\s*o'?clock$/, '').trim();
+
+  let m;
+
+  // "half past eight", "quarter past 8", "ten past nine", "quarter to nine", "20 til 6"
+  m = s.match(/^(half|quarter|\S+(?: \S+)?)(?: minutes?)? (past|after|to|till?|before) (\S+)$/);
+  if (m) {
+    const h = toNumber(m[3]);
+    const mins = m[1] === 'half' ? 30 : m[1] === 'quarter' ? 15 : toNumber(m[1]);
+    if (h != null && mins != null && h >= 0 && h <= 23 && mins > 0 && mins < 60) {
+      if (/^(past|after)$/.test(m[2])) return { hour: h, minute: mins, meridiem };
+      return { hour: h === 0 ? 23 : h - 1 === 0 ? 12 : h - 1, minute: 60 - mins, meridiem };
+    }
+  }
+
+  // "6:15", "18:30", "6.15", "615", "1830"
+  m = s.match(/^(\d{1,2})[:.](\d{2})$/) || s.match(/^(\d{1,2})(\d{2})$/);
+  if (m) return clockOrNull(+m[1], +m[2], meridiem);
+
+  // "6", "18"
+  m = s.match(/^(\d{1,2})$/);
+  if (m) return clockOrNull(+m[1], 0, meridiem);
+
+  // "six", "six fifteen", "seven forty five", "eight oh five", "6 thirty"
+  const words = s.split(' ');
+  const h = toNumber(words[0]);
+  if (h != null) {
+    if (words.length === 1) return clockOrNull(h, 0, meridiem);
+    const mins = toNumber(words.slice(1).join(' '));
+    if (mins != null) return clockOrNull(h, mins, meridiem);
+  }
+
+  return null;
+}
+
+function clockOrNull(hour, minute, meridiem) {
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) return null;
+  if (meridiem && (hour === 0 || hour > 12)) return null;
+  return { hour, minute, meridiem };
+}
+
+function toNumber(token) {
+  if (/^\d{1,2}$/.test(token)) return parseInt(token, 10);
+  return wordsToNumber(token);
+}
+
+// "five" -> 5, "forty five" -> 45, "oh five" -> 5, "twenty-one" -> 21
+function wordsToNumber(text) {
+  const parts = String(text).replace(/-/g, ' ').split(/\s+/).filter(Boolean);
+  if (parts.length === 0 || parts.length > 2) return null;
+
+  if (parts.length === 1) {
+    if (parts[0] in SMALL_NUMBERS) return SMALL_NUMBERS[parts[0]];
+    if (parts[0] in TENS) return TENS[parts[0]];
+    return null;
+  }
+
+  const [a, b] = parts;
+  if (a === 'oh' && b in SMALL_NUMBERS && SMALL_NUMBERS[b] < 10) return SMALL_NUMBERS[b];
+  if (a in TENS && b in SMALL_NUMBERS && SMALL_NUMBERS[b] > 0 && SMALL_NUMBERS[b] < 10) {
+    return TENS[a] + SMALL_NUMBERS[b];
+  }
+  return null;
+}
+
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[,!?]/g, ' ')
+    .replace(/(\d)\s*(am|pm|a\.m\.|p\.m\.)\b/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ----------------------------------------------------------------------------
+// Timezone helpers
+// ----------------------------------------------------------------------------
+
+/**
+ * Minutes the zone is ahead of UTC at the given instant (MDT = -360, MST = -420)
+ */
+export function offsetMinutesFor(tz, instant = new Date()) {
+  const p = localParts(tz, instant);
+  const asUTCms = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTCms - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+export function localParts(tz, instant = new Date()) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = Object.fromEntries(fmt.formatToParts(instant).map(p => [p.type, p.value]));
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour % 24,
+    minute: +parts.minute,
+    second: +parts.second
+  };
+}
+
+/**
+ * UTC ISO string for a wall-clock time in a timezone
+ */
+export function zonedISO(tz, y, m, d, h = 0, mi = 0) {
+  return new Date(resolveLocal(tz, y, m, d, h, mi).utcMs).toISOString();
+}
+
+/**
+ * Map a wall-clock time to UTC, handling both DST edges:
+ * - spring-forward gap (2:30am doesn't exist) -> moved forward an hour, noted
+ * - fall-back overlap (1:30am happens twice) -> earlier instant, noted
+ */
+function resolveLocal(tz, y, m, d, h, mi) {
+  const pretend = Date.UTC(y, m - 1, d, h, mi, 0);
+  const offsets = new Set([
+    offsetMinutesFor(tz, new Date(pretend - 12 * 3600000)),
+    offsetMinutesFor(tz, new Date(pretend + 12 * 3600000))
+  ]);
+
+  const matches = [...offsets]
+    .map(off => pretend - off * 60000)
+    .filter(utc => {
+      const p = localParts(tz, new Date(utc));
+      return p.year === y && p.month === m && p.day === d && p.hour === h && p.minute === mi;
+    })
+    .sort((a, b) => a - b);
+
+  const notes = [];
+  let utcMs;
+
+  if (matches.length === 0) {
+    const before = offsetMinutesFor(tz, new Date(pretend - 12 * 3600000));
+    utcMs = pretend - before * 60000;
+    notes.push('nonexistent_local_time');
+  } else {
+    utcMs = matches[0];
+    if (matches.length > 1) notes.push('repeated_local_time');
+  }
+
+  return { utcMs, notes, local: localParts(tz, new Date(utcMs)) };
+}
+
+function addDays(y, m, d, n) {
+  const dt = new Date(Date.UTC(y, m - 1, d + n));
+  return { year: dt.getUTCFullYear(), month: dt.getUTCMonth() + 1, day: dt.getUTCDate() };
+}
+
+function weekday(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function formatLocal(date, tz, opts = null) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    ...(opts || { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  }).format(date);
+}
+
+function clock(h, mi) {
+  return mi ? `${h}:${String(mi).padStart(2, '0')}` : `${h}`;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function result(date, kind, tz, extra = {}) {
+  const ambiguity = extra.ambiguity || [];
+  return {
+    ok: true,
+    iso: date.toISOString(),
+    local_text: formatLocal(date, tz),
+    kind,
+    ambiguity,
+    needs_clarification: ambiguity.length > 0,
+    clarification_question: extra.question || null,
+    alternatives: extra.alternatives || [],
+    notes: extra.notes || []
+  };
+}
@@ -20,6 +20,42 @@ export function jsonResponse(data, status = 200) {
   });
 }
 
+/**
+ * Check the admin bearer token (ADMIN_API_KEY secret).
+ * Returns null when authorized, otherwise an error Response to send back.
+ */
+export function requireAdmin(request, env) {
+  if (!env.ADMIN_API_KEY) {
+    return jsonResponse({
+      ok: false,
+      error: 'ADMIN_DISABLED',
+      message: 'Set the ADMIN_API_KEY secret to enable admin endpoints'
+    }, 503);
+  }
+
+  const header = request.headers.get('Authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '').trim();
+
+  if (!token || !timingSafeEqual(token, env.ADMIN_API_KEY)) {
+    return jsonResponse({
+      ok: false,
+      error: 'UNAUTHORIZED',
+      message: 'Valid admin bearer token required'
+    }, 401);
+  }
+
+  return null;
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
 /**
  * Normalize phone number to E.164 format
  */
@@ -0,0 +1,87 @@
+// tests/account-eligibility.test.mjs
+// Account rules and their trace (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountRegistry } from '../src/lib/account-registry.js';
+import registry from '../src/data/accounts-registry.json';
+
+const accounts = new AccountRegistry(registry);
+
+const HIGHLANDS_TO_AIRPORT = {
+  pickup_address: '123 Maroon Creek Road, Aspen Highlands',
+  pickup_lat: 39.1825,
+  pickup_lng: -106.855,
+  destination_address: 'Aspen Airport',
+  destination_lat: 39.2223,
+  destination_lng: -106.8694
+};
+
+const ids = result => result.eligible.map(account => account.id);
+const rule = (result, accountId, name) =>
+  result.evaluated.find(e => e.account.id === accountId).trace.find(r => r.rule === name);
+
+test('a ride outside every account zone is not eligible', () => {
+  const result = accounts.explainEligible({
+    pickup_address: '600 E Cooper Ave, Aspen',
+    pickup_lat: 39.19,
+    pickup_lng: -106.8167,
+    destination_address: 'Matsuhisa',
+    destination_location_id: 'matsuhisa',
+    pickup_time: '6:30 pm'
+  });
+  assert.deepEqual(ids(result), []);
+  assert.equal(rule(result, '5095', 'pickup').result, 'fail');
+  assert.equal(rule(result, '5095', 'pickup').matched_by, null);
+});
+
+test('a Highlands pickup inside the window is eligible, matched by polygon', () => {
+  const result = accounts.explainEligible({ ...HIGHLANDS_TO_AIRPORT, pickup_time: 'tomorrow 10:00 am' });
+  assert.ok(ids(result).includes('5095'));
+  assert.equal(rule(result, '5095', 'pickup').matched_by.signal, 'polygon');
+});
+
+test('a Highlands pickup outside the window fails on time', () => {
+  const result = accounts.explainEligible({ ...HIGHLANDS_TO_AIRPORT, pickup_time: 'tomorrow 4:00 am' });
+  assert.ok(!ids(result).includes('5095'));
+  assert.equal(rule(result, '5095', 'time').result, 'fail');
+});
+
+test('an unreadable pickup time is unknown and does not rule the account out', () => {
+  const result = accounts.explainEligible({ ...HIGHLANDS_TO_AIRPORT, pickup_time: 'whenever the flight lands' });
+  assert.equal(rule(result, '5095', 'time').result, 'unknown');
+  assert.ok(ids(result).includes('5095'));
+});
+
+test('naming a front-desk account is not authorization', () => {
+  const trip = {
+    pickup_location_id: 'hotel-jerome',
+    pickup_address: '330 E Main St, Aspen',
+    destination_location_id: 'aspen-airport',
+    destination_address: 'Aspen Airport',
+    account_hints: ['jerome']
+  };
+  assert.ok(!ids(accounts.explainEligible(trip)).includes('1020'));
+
+  const authorized = accounts.explainEligible({
+    ...trip,
+    customer_context: { authorized: true, authorized_by: 'front_desk' }
+  });
+  assert.ok(ids(authorized).includes('1020'));
+});
+
+test('an account billed by passenger name asks for the full name', () => {
+  const signature = accounts.findById('1250');
+  assert.equal(accounts.checkPassengerName(signature, {}).passenger_name_missing, true);
+  assert.equal(accounts.checkPassengerName(signature, { passenger_name: 'Jane' }).passenger_name_missing, true);
+  const named = accounts.checkPassengerName(signature, { passenger_name: ' Jane Doe ' });
+  assert.equal(named.passenger_name_missing, false);
+  assert.equal(named.passenger_name, 'Jane Doe');
+  assert.equal(accounts.checkPassengerName(accounts.findById('5095'), {}), null);
+});
+
+test('a single hint given as a string is one hint', () => {
+  const result = accounts.explainEligible({ ...HIGHLANDS_TO_AIRPORT, account_hints: 'tipsy' });
+  const hinted = result.evaluated.filter(e => e.trigger === 'hint').map(e => e.account.id);
+  assert.equal(hinted.length, 1);
+});
@@ -0,0 +1,37 @@
+// tests/address-normalizer.test.mjs
+// Spoken query normalization, run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { numberRunToDigits, normalizeSpokenQuery } from '../src/lib/address-normalizer.js';
+
+const digits = text => numberRunToDigits(text.split(' '));
+
+test('house numbers are read as concatenated groups', () => {
+  assert.equal(digits('three oh three'), '303');
+  assert.equal(digits('one twenty five'), '125');
+  assert.equal(digits('six hundred twelve'), '612');
+  assert.equal(digits('thirty eight seven hundred'), '38700');
+});
+
+test('hundreds after a round thousand add to it', () => {
+  assert.equal(digits('three thousand one hundred five'), '3105');
+});
+
+test('a spoken street address is written the way the location files are', () => {
+  assert.deepEqual(normalizeSpokenQuery('three oh three east main street'), {
+    query: '303 E Main St',
+    changed: true,
+    is_address: true
+  });
+  assert.equal(normalizeSpokenQuery('two twenty five east hopkins avenue').query, '225 E Hopkins Ave');
+});
+
+test('"oh" on its own is not a zero', () => {
+  assert.deepEqual(normalizeSpokenQuery('oh my god'), { query: 'oh my god', changed: false, is_address: false });
+});
+
+test('ordinals become digits, names are left alone', () => {
+  assert.equal(normalizeSpokenQuery('first and main').query, '1st and main');
+  assert.equal(normalizeSpokenQuery('the little nell').changed, false);
+});
@@ -0,0 +1,55 @@
+// tests/address-parser.test.mjs
+// Structured street addresses and the unit / exact-address gaps, run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStreetAddress, addressGaps, withUnit } from '../src/lib/address-parser.js';
+
+const TOWNS = ['Aspen', 'Basalt'];
+
+test('a full written address splits into fields', () => {
+  assert.deepEqual(parseStreetAddress('303 E Main St Unit 4, Aspen, CO 81611', { towns: TOWNS }), {
+    house_number: '303',
+    street: 'E Main St',
+    unit: '4',
+    town: 'Aspen',
+    state: 'CO',
+    postal_code: '81611',
+    is_street_address: true,
+    formatted: '303 E Main St #4, Aspen'
+  });
+});
+
+test('a town spoken without a comma is split off the street', () => {
+  const address = parseStreetAddress('303 E Main St #4 Aspen', { towns: TOWNS });
+  assert.equal(address.street, 'E Main St');
+  assert.equal(address.town, 'Aspen');
+  assert.equal(address.unit, '4');
+});
+
+test('a spoken unit number becomes digits', () => {
+  assert.equal(parseStreetAddress('123 Main St unit four b, Aspen').unit, '4B');
+});
+
+test('words that only look like unit markers are part of the street', () => {
+  const address = parseStreetAddress('12 Condo Association Rd, Basalt');
+  assert.equal(address.unit, null);
+  assert.equal(address.street, 'Condo Association Rd');
+});
+
+test('a place name is not a street address', () => {
+  const address = parseStreetAddress('Hotel Jerome');
+  assert.equal(address.is_street_address, false);
+  assert.equal(address.house_number, null);
+});
+
+test('gaps ask for what is missing', () => {
+  const required = { requires_exact_address: true, requires_unit_number: true };
+  assert.deepEqual(addressGaps(parseStreetAddress('303 E Main St'), required), {
+    exact_address_missing: false,
+    unit_missing: true,
+    claire_prompt: 'And what unit number is that?'
+  });
+  assert.equal(addressGaps(null, required).claire_prompt, "What's the exact street address, including the unit number?");
+  assert.equal(addressGaps(withUnit(parseStreetAddress('303 E Main St'), '4B'), required).claire_prompt, null);
+});
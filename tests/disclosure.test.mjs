@@ -0,0 +1,64 @@
+// tests/disclosure.test.mjs
+// What Claire may say about an eligible account (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleAccountEligibility, discloseAccounts } from '../src/handlers/account-eligibility.js';
+
+const JEROME_TO_AIRPORT = {
+  pickup_address: 'Hotel Jerome, 330 E Main St, Aspen',
+  pickup_lat: 39.1911,
+  pickup_lng: -106.8175,
+  pickup_location_id: 'hotel-jerome',
+  destination_address: 'Aspen Airport',
+  destination_lat: 39.2223,
+  destination_lng: -106.8694,
+  destination_location_id: 'aspen-airport',
+  pickup_time: 'tomorrow 10am'
+};
+
+async function eligibility(body) {
+  const request = new Request('https://example.test/account-eligibility', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+  return (await handleAccountEligibility(request, {})).json();
+}
+
+test('a front-desk booking is billed silently with nothing to read out', async () => {
+  const result = await eligibility({
+    ...JEROME_TO_AIRPORT,
+    customer_context: { authorized: true, authorized_by: 'front_desk' }
+  });
+  assert.equal(result.disclosure, 'silent_apply');
+  assert.equal(result.account_id, '1020');
+  assert.equal(result.account_name, null);
+  assert.equal(result.claire_script, null);
+  assert.equal(result.scripts, null);
+  assert.equal(result.silent_apply[0].account_name, null);
+  assert.equal(result.all_eligible[0].name, null);
+});
+
+test('the same account named by the caller is confirmed if asked', async () => {
+  const result = await eligibility({
+    ...JEROME_TO_AIRPORT,
+    account_hints: ['jerome'],
+    customer_context: { authorized: true, authorized_by: 'front_desk' }
+  });
+  assert.equal(result.disclosure, 'confirm_if_asked');
+  assert.equal(result.account_name, 'Hotel Jerome');
+  assert.ok(result.claire_script);
+});
+
+test('accounts are sorted by trigger type', () => {
+  const evaluated = [
+    { eligible: true, trigger: 'geo', account: { id: 'a', name: 'A', priority: 10, trigger_type: 'geo_automatic', scripts: { claire_should_ask: 'Offer A?' } } },
+    { eligible: true, trigger: 'hint', account: { id: 'b', name: 'B', priority: 20, trigger_type: 'customer_mention', scripts: {} } },
+    { eligible: true, trigger: 'geo', account: { id: 'c', name: 'C', priority: 30, trigger_type: 'do_not_volunteer', scripts: {} } },
+    { eligible: false, trigger: 'geo', account: { id: 'd', name: 'D', priority: 40, trigger_type: 'geo_automatic' } }
+  ];
+  const lists = discloseAccounts(evaluated);
+  assert.deepEqual(lists.offer.map(a => a.script), ['Offer A?']);
+  assert.deepEqual(lists.confirm_if_asked.map(a => a.account_id), ['b']);
+  assert.deepEqual(lists.silent_apply, [{ account_id: 'c', account_name: null, trigger_type: 'do_not_volunteer', script: null }]);
+});
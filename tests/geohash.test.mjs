@@ -0,0 +1,39 @@
+// tests/geohash.test.mjs
+// Geohash cells and the nearby search built on them (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGeohash, geohashesCovering } from '../src/lib/geohash.js';
+import { getBundledDatabase } from '../src/lib/location-db.js';
+
+const JEROME = { lat: 39.1911, lng: -106.8175 };
+
+test('encodes the reference geohash', () => {
+  assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(encodeGeohash(JEROME.lat, JEROME.lng), '9wunc');
+});
+
+test('the covering cells include the centre cell', () => {
+  const cells = geohashesCovering(JEROME.lat, JEROME.lng, 1);
+  assert.ok(cells.includes(encodeGeohash(JEROME.lat, JEROME.lng)));
+});
+
+test('nearby over the grid finds the same places as a full scan', () => {
+  const db = getBundledDatabase();
+  const radius = 3;
+  const scanned = db.locations
+    .filter(loc => typeof loc.coordinates?.lat === 'number')
+    .filter(loc => db.calculateDistance(JEROME.lat, JEROME.lng, loc.coordinates.lat, loc.coordinates.lng) <= radius)
+    .map(loc => loc.id)
+    .sort();
+  const found = db.nearby(JEROME.lat, JEROME.lng, { radius_miles: radius, max_results: Infinity })
+    .map(r => r.location.id)
+    .sort();
+  assert.deepEqual(found, scanned);
+});
+
+test('nearby results are nearest first', () => {
+  const results = getBundledDatabase().nearby(JEROME.lat, JEROME.lng, { radius_miles: 0.5 });
+  const distances = results.map(r => r.distance_miles);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+});
@@ -0,0 +1,47 @@
+// tests/geometry.test.mjs
+// Boundary polygons and town detection (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePolygon, pointInPolygon } from '../src/lib/geometry.js';
+import { getBundledDatabase } from '../src/lib/location-db.js';
+
+// 1x1 degree square with a hole in the middle, [lng, lat]
+const SQUARE_WITH_HOLE = {
+  type: 'Polygon',
+  coordinates: [
+    [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]],
+    [[0.4, 0.4], [0.6, 0.4], [0.6, 0.6], [0.4, 0.6], [0.4, 0.4]]
+  ]
+};
+
+test('a point inside the outer ring and outside the hole is inside', () => {
+  assert.equal(pointInPolygon(0.2, 0.2, SQUARE_WITH_HOLE), true);
+  assert.equal(pointInPolygon(0.5, 0.5, SQUARE_WITH_HOLE), false);
+  assert.equal(pointInPolygon(1.5, 0.5, SQUARE_WITH_HOLE), false);
+});
+
+test('Features and MultiPolygons are unwrapped', () => {
+  const feature = {
+    type: 'Feature',
+    geometry: { type: 'MultiPolygon', coordinates: [SQUARE_WITH_HOLE.coordinates] }
+  };
+  assert.deepEqual(validatePolygon(feature), []);
+  assert.equal(pointInPolygon(0.2, 0.2, feature), true);
+});
+
+test('unusable boundaries are reported', () => {
+  assert.deepEqual(validatePolygon({ type: 'Point', coordinates: [0, 0] }), ['must be a GeoJSON Polygon or MultiPolygon']);
+  assert.deepEqual(validatePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }), ['polygon 0 ring 0 needs at least 4 positions']);
+  assert.deepEqual(
+    validatePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 95], [0, 0]]] }),
+    ['polygon 0 ring 0 has an invalid [lng, lat] position']
+  );
+});
+
+test('a caller inside a town boundary is placed by polygon', () => {
+  const town = getBundledDatabase().detectCallerTown(39.1911, -106.8175);
+  assert.equal(town.key, 'aspen');
+  assert.equal(town.method, 'polygon');
+  assert.equal(getBundledDatabase().detectCallerTown(39.5, -106.5), null);
+});
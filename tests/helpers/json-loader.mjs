@@ -0,0 +1,8 @@
+// tests/helpers/json-loader.mjs
+// The Worker imports JSON without import attributes (wrangler bundles it);
+// Node needs `type: 'json'` to load the same modules under test.
+
+export async function load(url, context, next) {
+  if (url.endsWith('.json')) return next(url, { ...context, importAttributes: { type: 'json' } });
+  return next(url, context);
+}
@@ -0,0 +1,25 @@
+// tests/helpers/memory-kv.mjs
+// In-memory stand-in for a Workers KV namespace (get/put/delete/list with metadata)
+
+export function memoryKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      return entries.has(key) ? entries.get(key).value : null;
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value, metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...entries.keys()]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(name => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
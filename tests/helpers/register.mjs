@@ -0,0 +1,6 @@
+// tests/helpers/register.mjs
+// node --import ./tests/helpers/register.mjs --test tests/
+
+import { register } from 'node:module';
+
+register('./json-loader.mjs', import.meta.url);
@@ -0,0 +1,106 @@
+// tests/location-editor.test.mjs
+// Single-location edits published as KV versions (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memoryKV } from './helpers/memory-kv.mjs';
+import {
+  applyLocationChange,
+  loadEditableDataset,
+  listLocations,
+  getLocationHistory,
+  listRecentChanges
+} from '../src/lib/location-editor.js';
+import { supersedesBundle } from '../src/lib/location-store.js';
+import { getBundledDataset } from '../src/lib/location-db.js';
+
+const TEST_CAFE = {
+  canonical_name: 'Test Cafe',
+  address: '100 Midland Ave, Basalt, CO 81621',
+  coordinates: { lat: 39.368, lng: -107.0325 },
+  category: 'restaurant',
+  restrictions: {}
+};
+
+test('an update is published as a new KV version with an audit record', async () => {
+  const kv = memoryKV();
+  const result = await applyLocationChange(kv, {
+    action: 'update',
+    location_id: 'hotel-jerome',
+    location: { address: '331 E Main St, Aspen, CO 81611' },
+    changed_by: 'ops'
+  });
+  assert.equal(result.ok, true);
+
+  const { dataset, version, source } = await loadEditableDataset(kv);
+  assert.equal(source, 'kv');
+  assert.equal(version, result.record.version);
+  assert.equal(dataset.locations.find(loc => loc.id === 'hotel-jerome').address, '331 E Main St, Aspen, CO 81611');
+
+  const [record] = await getLocationHistory(kv, 'hotel-jerome');
+  assert.equal(record.changed_by, 'ops');
+  assert.equal(record.before.address, '330 E Main St, Aspen, CO 81611');
+});
+
+test('an edit against a stale version is refused', async () => {
+  const kv = memoryKV();
+  const result = await applyLocationChange(kv, {
+    action: 'update',
+    location_id: 'hotel-jerome',
+    location: { address: '331 E Main St, Aspen, CO 81611' },
+    changed_by: 'ops',
+    base_version: 'v1'
+  });
+  assert.equal(result.error, 'VERSION_CONFLICT');
+  assert.equal(await kv.get('locations:active'), null);
+});
+
+test('an invalid location is not published', async () => {
+  const kv = memoryKV();
+  const result = await applyLocationChange(kv, {
+    action: 'update',
+    location_id: 'hotel-jerome',
+    location: { coordinates: null },
+    changed_by: 'ops'
+  });
+  assert.equal(result.error, 'LOCATION_INVALID');
+  assert.equal(await kv.get('locations:active'), null);
+});
+
+test('create indexes the location under its town, retire removes it', async () => {
+  const kv = memoryKV();
+  const created = await applyLocationChange(kv, {
+    action: 'create', location_id: 'test-cafe', town: 'basalt', location: TEST_CAFE, changed_by: 'ops'
+  });
+  assert.equal(created.ok, true);
+
+  let { dataset } = await loadEditableDataset(kv);
+  assert.ok(dataset.indices.by_town.basalt.includes('test-cafe'));
+  assert.deepEqual(listLocations(dataset, { q: 'test cafe' }).locations.map(loc => loc.id), ['test-cafe']);
+
+  const duplicate = await applyLocationChange(kv, {
+    action: 'create', location_id: 'test-cafe', town: 'basalt', location: TEST_CAFE, changed_by: 'ops'
+  });
+  assert.equal(duplicate.error, 'LOCATION_EXISTS');
+
+  const retired = await applyLocationChange(kv, { action: 'retire', location_id: 'test-cafe', changed_by: 'ops' });
+  assert.equal(retired.ok, true);
+  ({ dataset } = await loadEditableDataset(kv));
+  assert.ok(!dataset.locations.some(loc => loc.id === 'test-cafe'));
+  assert.deepEqual((await getLocationHistory(kv, 'test-cafe')).map(r => r.action), ['retire', 'create']);
+  assert.equal((await listRecentChanges(kv)).length, 2);
+});
+
+test('KV edits survive a code-only deploy but not a deploy with new data', async () => {
+  const kv = memoryKV();
+  await applyLocationChange(kv, {
+    action: 'update',
+    location_id: 'hotel-jerome',
+    location: { address: '331 E Main St, Aspen, CO 81611' },
+    changed_by: 'ops'
+  });
+  const active = JSON.parse(await kv.get('locations:active'));
+  assert.equal(active.bundle_hash, getBundledDataset().content_hash);
+  assert.equal(supersedesBundle(active, { ...getBundledDataset(), updated_at: new Date().toISOString() }), true);
+  assert.equal(supersedesBundle(active, { ...getBundledDataset(), content_hash: 'changed' }), false);
+});
@@ -0,0 +1,69 @@
+// tests/location-lint.test.mjs
+// Town file schema and cross-reference checks, run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintTownSchema, lintLocations } from '../src/lib/location-lint.js';
+import { validateSchema } from '../src/lib/json-schema.js';
+import schema from '../src/data/locations/town.schema.json';
+import basalt from '../src/data/locations/basalt.json';
+
+const town = () => structuredClone(basalt);
+const codes = problems => problems.map(p => p.code);
+
+test('a shipped town file passes the schema', () => {
+  assert.deepEqual(lintTownSchema(basalt, schema, 'basalt.json'), []);
+});
+
+test('a location without coordinates is a schema error on that location', () => {
+  const data = town();
+  delete data.locations[0].coordinates;
+  const [problem, ...rest] = lintTownSchema(data, schema, 'basalt.json');
+  assert.deepEqual(rest, []);
+  assert.equal(problem.severity, 'error');
+  assert.equal(problem.code, 'SCHEMA');
+  assert.equal(problem.location_id, data.locations[0].id);
+  assert.equal(problem.file, 'basalt.json');
+});
+
+test('duplicate ids across files are reported once, against the second file', () => {
+  const copy = town();
+  copy.town = 'basalt_copy';
+  copy.town_display = 'Basalt Copy';
+  copy.locations = [copy.locations[0]];
+  const problems = lintLocations([
+    { file: 'basalt.json', data: town() },
+    { file: 'copy.json', data: copy }
+  ]).filter(p => p.code === 'DUPLICATE_ID');
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].file, 'copy.json');
+});
+
+test('dangling references and far-away coordinates are errors', () => {
+  const data = town();
+  data.locations[0].confusion_matrix = [{ confused_with: 'no-such-place' }];
+  data.locations[1].coordinates = { lat: 39.9, lng: -107.0325 };
+  const found = codes(lintLocations([{ file: 'basalt.json', data }]));
+  assert.ok(found.includes('UNKNOWN_CONFUSED_WITH'));
+  assert.ok(found.includes('FAR_FROM_TOWN'));
+});
+
+test('references may point at ids known from elsewhere', () => {
+  const data = town();
+  data.locations[0].confusion_matrix = [{ confused_with: 'hotel-jerome' }];
+  const found = codes(lintLocations([{ file: 'basalt.json', data }], { known_ids: ['hotel-jerome'] }));
+  assert.ok(!found.includes('UNKNOWN_CONFUSED_WITH'));
+});
+
+test('the schema validator resolves refs and reports paths', () => {
+  const root = {
+    definitions: { point: { type: 'object', required: ['lat'], properties: { lat: { type: 'number', maximum: 90 } } } },
+    type: 'array',
+    items: { $ref: '#/definitions/point' }
+  };
+  assert.deepEqual(validateSchema(root, [{ lat: 39 }]), []);
+  assert.deepEqual(validateSchema(root, [{ lat: 91 }, {}]), [
+    { path: '$[0].lat', message: 'must be <= 90' },
+    { path: '$[1].lat', message: 'is required' }
+  ]);
+});
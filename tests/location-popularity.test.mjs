@@ -0,0 +1,69 @@
+// tests/location-popularity.test.mjs
+// Popularity prior from confirmed trips, run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memoryKV } from './helpers/memory-kv.mjs';
+import {
+  recordConfirmation,
+  aggregatePopularity,
+  loadPopularityPrior,
+  daypartOf,
+  MAX_PRIOR_BOOST
+} from '../src/lib/location-popularity.js';
+
+const TRIP = {
+  event_id: 'trip-1',
+  pickup_location_id: 'hotel-jerome',
+  destination_location_id: 'aspen-airport',
+  at: '2026-10-16T14:00:00Z' // 8am in Aspen
+};
+
+test('dayparts follow local time', () => {
+  assert.equal(daypartOf(new Date('2026-10-16T14:00:00Z')), 'morning');
+  assert.equal(daypartOf(new Date('2026-10-17T05:00:00Z')), 'night');
+});
+
+test('a trip without a known place is not recorded', async () => {
+  const kv = memoryKV();
+  assert.deepEqual(await recordConfirmation(kv, { event_id: 'x' }), { recorded: false, reason: 'no_location' });
+  assert.equal(kv.entries.size, 0);
+});
+
+test('the same trip recorded twice is counted once', async () => {
+  const kv = memoryKV();
+  await recordConfirmation(kv, TRIP);
+  await recordConfirmation(kv, TRIP);
+  assert.deepEqual(await aggregatePopularity(kv), { folded: 1, duplicates: 0 });
+
+  // Recorded again after the fold (end-of-call memory after the booking)
+  await recordConfirmation(kv, TRIP);
+  assert.deepEqual(await aggregatePopularity(kv), { folded: 0, duplicates: 1 });
+
+  const doc = JSON.parse(await kv.get('locations:popularity'));
+  assert.equal(Math.round(doc.locations['hotel-jerome'].weight), 1);
+  assert.equal(Math.round(doc.pairs['hotel-jerome']['aspen-airport'].weight), 1);
+  assert.deepEqual([...kv.entries.keys()], ['locations:popularity']);
+});
+
+test('the boost grows with trips and stays under the tier gap', async () => {
+  const kv = memoryKV();
+  for (let i = 0; i < 50; i++) {
+    await recordConfirmation(kv, { ...TRIP, event_id: `trip-${i}` });
+  }
+  await aggregatePopularity(kv);
+
+  const prior = await loadPopularityPrior({ CALL_MEMORIES: kv });
+  const morning = new Date('2026-10-16T14:00:00Z');
+  const plain = prior.boost('aspen-airport', { instant: morning });
+  const afterPickup = prior.boost('aspen-airport', { instant: morning, after_location_id: 'hotel-jerome' });
+
+  assert.ok(plain.boost > 0);
+  assert.ok(afterPickup.boost > plain.boost);
+  assert.ok(afterPickup.boost < MAX_PRIOR_BOOST);
+  assert.equal(prior.boost('matsuhisa').boost, 0);
+});
+
+test('no KV means no prior', async () => {
+  assert.equal(await loadPopularityPrior({}), null);
+});
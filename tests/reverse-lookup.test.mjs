@@ -0,0 +1,26 @@
+// tests/reverse-lookup.test.mjs
+// Coordinate -> known place (needs `npm run build` for the location dataset)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reverseLookup, spokenPlace } from '../src/lib/reverse-lookup.js';
+import { getBundledDatabase } from '../src/lib/location-db.js';
+
+test('a coordinate next to a known place resolves to it locally', async () => {
+  const jerome = getBundledDatabase().findById('hotel-jerome');
+  const result = await reverseLookup({}, jerome.coordinates.lat + 0.0001, jerome.coordinates.lng);
+  assert.equal(result.source, 'local_db');
+  assert.equal(result.location_id, 'hotel-jerome');
+  assert.ok(result.distance_meters <= result.tolerance_meters);
+  assert.equal(spokenPlace(result), 'Hotel Jerome');
+});
+
+test('no known place and no Google key is no match', async () => {
+  const result = await reverseLookup({}, 39.5, -106.5);
+  assert.equal(result.matched, false);
+  assert.equal(spokenPlace(result), null);
+});
+
+test('a Google address is spoken as its street line', () => {
+  assert.equal(spokenPlace({ matched: true, name: null, address: '303 E Main St, Aspen, CO 81611, USA' }), '303 E Main St');
+});
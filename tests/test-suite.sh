@@ -5,6 +5,11 @@ API_BASE="https://api.callcab.ai"
 echo "🧪 High Mountain Taxi API Test Suite"
 echo "===================================="
 
+# Local checks (no network); the tests read the built location dataset
+echo "Unit tests..."
+[ -f src/data/locations.min.json ] || npm run build
+node --import ./tests/helpers/register.mjs --test tests/ && echo "✅ PASS" || echo "❌ FAIL"
+
 # Test 1: Health
 echo "Test 1: Health Check..."
 curl -s "$API_BASE/health" | grep -q '"ok":true' && echo "✅ PASS" || echo "❌ FAIL"
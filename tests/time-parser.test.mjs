@@ -0,0 +1,67 @@
+// tests/time-parser.test.mjs
+// Pickup time parsing, run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePickupTime } from '../src/lib/time-parser.js';
+
+// Friday 2026-10-16, 4:00 PM in Aspen (MDT, UTC-6)
+const FRIDAY_4PM = new Date('2026-10-16T22:00:00Z');
+
+test('same weekday already past rolls to next week', () => {
+  const when = parsePickupTime('Friday morning at 7', { now: FRIDAY_4PM });
+  assert.equal(when.ok, true);
+  assert.equal(when.iso, '2026-10-23T13:00:00.000Z');
+  assert.ok(when.notes.includes('rolled_to_next_week'));
+  assert.ok(!when.notes.includes('time_in_past'));
+});
+
+test('same weekday with a bare hour prefers the reading still ahead today', () => {
+  const when = parsePickupTime('Friday at 7', { now: FRIDAY_4PM });
+  assert.equal(when.iso, '2026-10-17T01:00:00.000Z');
+  assert.deepEqual(when.ambiguity, ['meridiem']);
+});
+
+test('same weekday later today stays today', () => {
+  const when = parsePickupTime('Friday at 6pm', { now: FRIDAY_4PM });
+  assert.equal(when.iso, '2026-10-17T00:00:00.000Z');
+  assert.equal(when.needs_clarification, false);
+});
+
+test('today at a time already past asks instead of booking now', () => {
+  const when = parsePickupTime('today at 7am', { now: FRIDAY_4PM });
+  assert.equal(when.needs_clarification, true);
+  assert.ok(when.ambiguity.includes('time_in_past'));
+  assert.match(when.clarification_question, /already passed/);
+});
+
+test('day after tomorrow', () => {
+  const when = parsePickupTime('the day after tomorrow at 3pm', { now: FRIDAY_4PM });
+  assert.equal(when.ok, true);
+  assert.equal(when.iso, '2026-10-18T21:00:00.000Z');
+});
+
+test('tomorrow', () => {
+  const when = parsePickupTime('tomorrow at 6:15 am', { now: FRIDAY_4PM });
+  assert.equal(when.iso, '2026-10-17T12:15:00.000Z');
+});
+
+test('fall back: times after the change use standard time', () => {
+  const now = new Date('2026-10-31T18:00:00Z');
+  const when = parsePickupTime('tomorrow at 9am', { now });
+  assert.equal(when.iso, '2026-11-01T16:00:00.000Z');
+});
+
+test('fall back: a repeated local time takes the first and asks', () => {
+  const now = new Date('2026-10-31T18:00:00Z');
+  const when = parsePickupTime('tomorrow at 1:30am', { now });
+  assert.equal(when.iso, '2026-11-01T07:30:00.000Z');
+  assert.ok(when.ambiguity.includes('repeated_local_time'));
+});
+
+test('spring forward: a skipped local time is flagged', () => {
+  const now = new Date('2026-03-07T19:00:00Z');
+  const when = parsePickupTime('tomorrow at 2:30am', { now });
+  assert.equal(when.ok, true);
+  assert.ok(when.notes.includes('nonexistent_local_time'));
+});